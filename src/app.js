@@ -1,12 +1,18 @@
 import express from "express"
 import cors from "cors"
 import cookieParser from "cookie-parser"
+import { verifyMediaSignature } from "./middlewares/media.middleware.js"
+import { getLocalStorageDirectory } from "./utils/storage/local.storage.js"
 
 const app = express()
 
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
-    credentials: true
+    credentials: true,
+    exposedHeaders: [
+        "Location", "Upload-Offset", "Upload-Length", "Upload-Expires", // resumable uploads
+        "Accept-Ranges", "Content-Range", "ETag" // video streaming
+    ]
 }))
 
 app.use(express.json({limit: "16kb"}))
@@ -14,6 +20,11 @@ app.use(express.urlencoded({extended: true, limit: "16kb"}))
 app.use(express.static("public"))
 app.use(cookieParser())
 
+// files of the local storage backend (STORAGE_BACKEND=local), uploaded urls point here
+if (process.env.STORAGE_BACKEND === "local") {
+    app.use("/media", verifyMediaSignature, express.static(getLocalStorageDirectory()))
+}
+
 
 //routes import
 import userRouter from "./routes/user.routes.js";
@@ -25,6 +36,8 @@ import commentRouter from "./routes/comment.routes.js";
 import likeRouter from "./routes/like.routes.js";
 import playlistRouter from "./routes/playlist.routes.js";
 import dashboardRouter from "./routes/dashboard.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import uploadRouter from "./routes/upload.routes.js";
 
 //routes declaration
 app.use("/api/v1/healthcheck", healthcheckRouter);
@@ -36,6 +49,8 @@ app.use("/api/v1/comments", commentRouter);
 app.use("/api/v1/likes", likeRouter);
 app.use("/api/v1/playlist", playlistRouter);
 app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/uploads", uploadRouter);
 
 // http://localhost:8000/api/v1/users/register
 
@@ -1 +1,70 @@
-export const DB_NAME="vidapi"
\ No newline at end of file
+export const DB_NAME="vidapi"
+
+// ordered from least to most privileged
+export const USER_ROLES=["user","creator","moderator","admin"]
+
+// personal access tokens start with this, so verifyJWT can tell them apart from JWTs
+export const PERSONAL_ACCESS_TOKEN_PREFIX="pat_"
+
+// scopes a personal access token can be given, checked per route with requireScope()
+export const TOKEN_SCOPES=[
+    "videos:read",
+    "videos:write",
+    "playlists:read",
+    "playlists:write",
+    "comments:read",
+    "comments:write",
+    "tweets:read",
+    "tweets:write",
+    "likes:read",
+    "likes:write",
+    "subscriptions:read",
+    "subscriptions:write",
+    "analytics:read",
+    "profile:read"
+]
+
+
+// handles nobody can take, they would be confused with our own pages or staff
+export const RESERVED_USERNAMES=[
+    "admin",
+    "administrator",
+    "api",
+    "help",
+    "support",
+    "settings",
+    "login",
+    "logout",
+    "register",
+    "signup",
+    "me",
+    "root",
+    "system",
+    "moderator",
+    "staff",
+    "official",
+    "security",
+    "null",
+    "undefined"
+]
+
+// duration filters of the video search, in seconds (`max` is exclusive, null means no upper limit)
+export const VIDEO_DURATION_BUCKETS={
+    short:{min:0,max:4*60},
+    medium:{min:4*60,max:20*60},
+    long:{min:20*60,max:null}
+}
+
+
+// HLS ladder, every upload is transcoded into the renditions up to its own resolution (bitrates in kbps)
+export const HLS_RENDITIONS=[
+    {name:"240p",height:240,videoBitrate:400,audioBitrate:64},
+    {name:"360p",height:360,videoBitrate:800,audioBitrate:96},
+    {name:"480p",height:480,videoBitrate:1400,audioBitrate:128},
+    {name:"720p",height:720,videoBitrate:2800,audioBitrate:128},
+    {name:"1080p",height:1080,videoBitrate:5000,audioBitrate:192}
+]
+
+
+// where in the video (fraction of its duration) thumbnail candidates are taken when no thumbnail was uploaded
+export const THUMBNAIL_CANDIDATE_POSITIONS=[0.1,0.3,0.5,0.7,0.9]
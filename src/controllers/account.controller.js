@@ -0,0 +1,219 @@
+import jwt from "jsonwebtoken";
+import { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { enqueueDataExport } from "../jobs/dataExport.job.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { revokeSessions } from "../utils/session.js";
+
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    throw new ApiError(400, "Password is required to delete the account");
+  }
+
+  const user = await User.findById(req.user._id);
+
+  // Deleting everything is serious, so the password is asked again even with a valid session
+  const isPasswordValid = await user.isPasswordCorrect(password);
+  if (!isPasswordValid) {
+    throw new ApiError(401, "Invalid user credentials");
+  }
+
+  if (user.deletionScheduledFor) {
+    throw new ApiError(400, "Account deletion is already scheduled");
+  }
+
+  /*
+    Nothing is removed yet, the account is only scheduled for deletion.
+    - During the grace period the user can log back in and restore the account.
+    - Afterwards the purge job (jobs/accountPurge.job.js) removes the account and all its content.
+  */
+  const graceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + graceDays * 24 * 60 * 60 * 1000
+  );
+  await user.save({ validateBeforeSave: false });
+
+  // Log out every other device, the current one stays logged in so the user can still undo
+  await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } });
+
+  await recordAuditEvent(req, {
+    action: "user.deletion_request",
+    targetType: "User",
+    targetId: user._id,
+    metadata: { deletionScheduledFor: user.deletionScheduledFor },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { deletionScheduledFor: user.deletionScheduledFor },
+        `Account will be deleted in ${graceDays} days, log in and restore it before then to keep it`
+      )
+    );
+});
+
+const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  /*
+    Only possible while the purge hasn't started yet.
+    - `purgeStartedAt: null` in the filter makes sure we don't "restore" an account that is half deleted.
+  */
+  const user = await User.findOneAndUpdate(
+    {
+      _id: req.user._id,
+      deletionScheduledFor: { $ne: null },
+      purgeStartedAt: null,
+    },
+    {
+      $set: {
+        deletionRequestedAt: null,
+        deletionScheduledFor: null,
+      },
+    },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(400, "No pending account deletion to cancel");
+  }
+
+  await recordAuditEvent(req, {
+    action: "user.deletion_cancel",
+    targetType: "User",
+    targetId: user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Account deletion cancelled"));
+});
+
+/*
+  Download links are signed tokens that expire together with the export.
+  - The link works without a session, so it can be opened in any browser or download manager.
+*/
+const buildDownloadUrl = (req, dataExport) => {
+  const expiresInSeconds = Math.max(
+    1,
+    Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000)
+  );
+  const token = jwt.sign(
+    { exportId: dataExport._id, purpose: "data_export" },
+    process.env.DATA_EXPORT_LINK_SECRET,
+    { expiresIn: expiresInSeconds }
+  );
+  return `${req.protocol}://${req.get("host")}/api/v1/users/account/exports/${dataExport._id}/download?token=${token}`;
+};
+
+const requestDataExport = asyncHandler(async (req, res) => {
+  // One export at a time: if one is still being built, hand that one back
+  const pendingExport = await DataExport.findOne({
+    user: req.user._id,
+    status: { $in: ["queued", "processing"] },
+  });
+
+  if (pendingExport) {
+    return res
+      .status(202)
+      .json(
+        new ApiResponse(
+          202,
+          pendingExport,
+          "Data export is already in progress"
+        )
+      );
+  }
+
+  const dataExport = await DataExport.create({ user: req.user._id });
+
+  // The archive is built in the background, the client polls getDataExportStatus
+  enqueueDataExport(dataExport._id);
+
+  await recordAuditEvent(req, {
+    action: "user.data_export_request",
+    targetType: "DataExport",
+    targetId: dataExport._id,
+  });
+
+  return res
+    .status(202)
+    .json(new ApiResponse(202, dataExport, "Data export started"));
+});
+
+const getDataExportStatus = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+
+  if (!isValidObjectId(exportId)) {
+    throw new ApiError(400, "Invalid export ID");
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    user: req.user._id,
+  });
+
+  if (!dataExport) {
+    throw new ApiError(404, "Data export not found");
+  }
+
+  const isDownloadable =
+    dataExport.status === "ready" && dataExport.expiresAt > new Date();
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...dataExport.toObject(),
+        downloadUrl: isDownloadable ? buildDownloadUrl(req, dataExport) : null,
+      },
+      "Data export status fetched successfully"
+    )
+  );
+});
+
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+  const { token } = req.query;
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(token, process.env.DATA_EXPORT_LINK_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Download link is invalid or has expired");
+  }
+
+  if (
+    decodedToken?.purpose !== "data_export" ||
+    decodedToken.exportId !== exportId
+  ) {
+    throw new ApiError(401, "Download link is invalid or has expired");
+  }
+
+  const dataExport = await DataExport.findById(exportId).select("+filePath");
+
+  if (
+    !dataExport ||
+    dataExport.status !== "ready" ||
+    dataExport.expiresAt <= new Date()
+  ) {
+    throw new ApiError(410, "Data export is no longer available");
+  }
+
+  return res.download(dataExport.filePath, "my-data.zip");
+});
+
+export {
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  requestDataExport,
+  getDataExportStatus,
+  downloadDataExport,
+};
@@ -0,0 +1,200 @@
+import { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { USER_ROLES } from "../consonants.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import {
+  getLockedAccounts,
+  unlockAccount,
+} from "../utils/loginAttempts/loginThrottle.js";
+
+const getUsersByRole = asyncHandler(async (req, res) => {
+  const { role } = req.query;
+
+  if (role && !USER_ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${USER_ROLES.join(", ")}`);
+  }
+
+  // Without a role filter this lists every non-regular user (creators, moderators, admins)
+  const users = await paginateQuery(
+    User.find(role ? { role } : { role: { $ne: "user" } }).select(
+      "username email fullName avatar role createdAt"
+    ),
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+const assignUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  if (!USER_ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${USER_ROLES.join(", ")}`);
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  /*
+    Never demote the last admin.
+    - Otherwise nobody could assign roles anymore without touching the database.
+  */
+  if (user.role === "admin" && role !== "admin") {
+    const adminCount = await User.countDocuments({ role: "admin" });
+    if (adminCount <= 1) {
+      throw new ApiError(400, "Cannot remove the role of the last admin");
+    }
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "admin.role_assign",
+    targetType: "User",
+    targetId: user._id,
+    before: { role: previousRole },
+    after: { role },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { _id: user._id, username: user.username, role: user.role },
+        "User role updated successfully"
+      )
+    );
+});
+
+const getAccountLockouts = asyncHandler(async (req, res) => {
+  const lockouts = await getLockedAccounts();
+
+  // Attach who the locked accounts belong to, the store only knows user ids
+  const users = await User.find({
+    _id: { $in: lockouts.map((lockout) => lockout.userId) },
+  }).select("username email fullName");
+
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  const lockedAccounts = lockouts.map((lockout) => ({
+    ...lockout,
+    user: usersById.get(lockout.userId) || null,
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        lockedAccounts,
+        "Locked accounts fetched successfully"
+      )
+    );
+});
+
+const unlockUserAccount = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  // Clears the failed attempt counter too, the user starts over with a clean slate
+  await unlockAccount(userId);
+
+  await recordAuditEvent(req, {
+    action: "admin.account_unlock",
+    targetType: "User",
+    targetId: userId,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Account unlocked successfully"));
+});
+
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { actor, action, targetType, targetId, from, to } = req.query;
+
+  /*
+    Every filter is optional and they combine with AND.
+    - `action` matches exactly, or a whole family with a trailing dot (e.g. `auth.` for every auth event).
+    - `from`/`to` limit the time range (anything `Date` can parse).
+  */
+  const filter = {};
+
+  for (const [field, value] of Object.entries({ actor, targetId })) {
+    if (!value) continue;
+    if (!isValidObjectId(value)) {
+      throw new ApiError(400, `Invalid ${field}`);
+    }
+    filter[field] = value;
+  }
+
+  // the query parser also produces arrays and objects (`?targetType[$ne]=`), those never reach the filter
+  for (const [field, value] of Object.entries({ action, targetType })) {
+    if (value !== undefined && typeof value !== "string") {
+      throw new ApiError(400, `Invalid ${field}`);
+    }
+  }
+
+  if (action) {
+    filter.action = action.endsWith(".")
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+      : action;
+  }
+
+  if (targetType) {
+    filter.targetType = targetType;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    for (const [operator, value] of [
+      ["$gte", from],
+      ["$lte", to],
+    ]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, "from and to must be valid dates");
+      }
+      filter.createdAt[operator] = date;
+    }
+  }
+
+  // Newest entries first, `cursor` continues after the previous page
+  const entries = await paginateQuery(
+    AuditLog.find(filter).populate("actor", "username email fullName"),
+    getPaginationParams(req.query, { createdAt: -1 }, { defaultLimit: 50 })
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entries, "Audit log fetched successfully"));
+});
+
+export {
+  getUsersByRole,
+  assignUserRole,
+  getAccountLockouts,
+  unlockUserAccount,
+  getAuditLogs,
+};
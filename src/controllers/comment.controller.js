@@ -1,8 +1,12 @@
 import mongoose, { isValidObjectId } from "mongoose";
 import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { assertNotBlocked, getHiddenUserIds } from "../utils/userRelations.js";
+import { getPaginationParams, paginateAggregate } from "../utils/pagination.js";
 
 const getVideoComments = asyncHandler(async (req, res) => {
   // Function to get comments for a specific video
@@ -15,12 +19,16 @@ const getVideoComments = asyncHandler(async (req, res) => {
 
   /*
     Step 2: Extract pagination details from query parameters
-    - If the client sends ?page=2&limit=5, then:
-      - page = 2 (fetch second page of comments)
+    - If the client sends ?limit=5&cursor=..., then:
       - limit = 5 (fetch 5 comments per page)
-    - If no values are provided, default to page 1 and limit 10
+      - cursor = the `nextCursor` of the previous page (fetch the comments after it)
+    - Without a cursor we start at the newest comment, the default limit is 10
   */
-  const { page = 1, limit = 10 } = req.query;
+  const paginationParams = getPaginationParams(
+    req.query,
+    { createdAt: -1 },
+    { defaultLimit: 10 }
+  );
 
   /*
     Step 3: Validate videoId
@@ -40,87 +48,84 @@ const getVideoComments = asyncHandler(async (req, res) => {
   */
   const videoObjectId = new mongoose.Types.ObjectId(videoId);
 
+  /*
+    Comments the viewer shouldn't see:
+    - comments from users they muted or blocked, and from users who blocked them.
+  */
+  const hiddenUserIds = await getHiddenUserIds(req.user?._id);
+
   /*
     Step 5: Fetch comments using aggregation
 
   */
-  const comments = await Comment.aggregate([
-    {
-      /*
-        Step 5.1: Match comments related to the specified video ID
-        - This filters out only comments that belong to the requested video.
-      */
-      $match: {
-        video: videoObjectId,
+  const comments = await paginateAggregate(
+    Comment,
+    [
+      {
+        /*
+          Step 5.1: Match comments related to the specified video ID
+          - This filters out only comments that belong to the requested video.
+        */
+        $match: {
+          video: videoObjectId,
+          owner: { $nin: hiddenUserIds },
+        },
       },
-    },
-    {
-      /*
-        Step 5.2: Lookup video details
-        - Joins the "videos" collection to get details about the video which has the comment
-        - The result is stored as "CommentOnWhichVideo".
-      */
-      $lookup: {
-        from: "videos",
-        localField: "video",
-        foreignField: "_id",
-        as: "CommentOnWhichVideo",
+    ],
+    /*
+      Step 6: Apply pagination
+      - Only the comments after the cursor are taken, newest first, `limit` of them.
+      - The lookups below then only run for the comments of this page.
+    */
+    paginationParams,
+    [
+      {
+        /*
+          Step 5.2: Lookup video details
+          - Joins the "videos" collection to get details about the video which has the comment
+          - The result is stored as "CommentOnWhichVideo".
+        */
+        $lookup: {
+          from: "videos",
+          localField: "video",
+          foreignField: "_id",
+          as: "CommentOnWhichVideo",
+        },
       },
-    },
-    {
-      /*
-        Step 5.3: Lookup user details (comment owner)
-        - Joins the "users" collection to get details about the user who posted the comment.
-        - The result is stored as "OwnerOfComment".
-      */
-      $lookup: {
-        from: "users",
-        localField: "owner",
-        foreignField: "_id",
-        as: "OwnerOfComment",
+      {
+        /*
+          Step 5.3: Lookup user details (comment owner)
+          - Joins the "users" collection to get details about the user who posted the comment.
+          - The result is stored as "OwnerOfComment".
+        */
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "OwnerOfComment",
+        },
       },
-    },
 
-    {
-      /*
-        Step 5.4: Restructure the output
-        - $project is used to include only required fields.
-        - $arrayElemAt extracts the first (and only) element from "OwnerOfComment" and "CommentOnWhichVideo".
-        - This avoids unnecessary array nesting in the result.
-      */
-      $project: {
-        content: 1, // Include the comment content
-        owner: {
-          $arrayElemAt: ["$OwnerOfComment", 0], // Extract first element from owner array
-        },
-        video: {
-          $arrayElemAt: ["$CommentOnWhichVideo", 0], // Extract first element from video array
+      {
+        /*
+          Step 5.4: Restructure the output
+          - $project is used to include only required fields.
+          - $arrayElemAt extracts the first (and only) element from "OwnerOfComment" and "CommentOnWhichVideo".
+          - This avoids unnecessary array nesting in the result.
+        */
+        $project: {
+          content: 1, // Include the comment content
+          owner: {
+            $arrayElemAt: ["$OwnerOfComment", 0], // Extract first element from owner array
+          },
+          video: {
+            $arrayElemAt: ["$CommentOnWhichVideo", 0], // Extract first element from video array
+          },
+          createdAt: 1, // Include timestamp (also the sort key of the cursor)
         },
-        createdAt: 1, // Include timestamp
       },
-    },
-
-    {
-      /*
-        Step 6: Apply pagination
-        - $skip ignores comments from previous pages ((page - 1) * limit).
-        - $limit restricts the number of comments per request to the specified limit.
-      */
-      $skip: (page - 1) * parseInt(limit),
-    },
-
-    {
-      $limit: parseInt(limit),
-    },
-  ]);
-  console.log(comments); // Debugging log to check fetched comments
-
-  /*
-    Step 7: Check if any comments exist
-  */
-  if (!comments?.length) {
-    throw new ApiError(404, "Comments are not found");
-  }
+    ]
+  );
 
   /*
     Step 8: Send response with comments data
@@ -141,10 +146,12 @@ const getVideoComments = asyncHandler(async (req, res) => {
  - $lookup returns an array, even if there's only one matching document.
  - $arrayElemAt extracts the first element, so we get a single object instead of an array.
  
- Why do we use pagination with $skip and $limit?
- - $skip ignores previous pages of comments ((page - 1) * limit).
- - $limit ensures we don't fetch too many comments at once, improving performance.
- - This prevents overwhelming the database and speeds up response time.
+ Why do we use cursor pagination instead of $skip and $limit?
+ - $skip had to walk over every comment of the previous pages, so deep pages got slow.
+ - New comments arriving while someone scrolls shifted the pages, showing comments twice.
+ - The cursor remembers the last comment of a page, the next page starts right after it.
+ - $limit still ensures we don't fetch too many comments at once.
+ - A video without comments just returns an empty page (`items: []`, `hasMore: false`).
 */
 });
 
@@ -188,6 +195,20 @@ const addComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Empty or null fields are invalid");
   }
 
+  /*
+    Checking the video exists and its owner hasn't blocked the commenter
+    - Blocked users can't comment on any video of the user who blocked them
+  */
+  const video = await Video.findById(videoId).select("owner");
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+  await assertNotBlocked(
+    video.owner,
+    req.user._id,
+    "You can't comment on this user's videos"
+  );
+
   /*
     Creating the new comment in the database
     - The comment document is created with:
@@ -210,6 +231,13 @@ const addComment = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while adding comment");
   }
 
+  await recordAuditEvent(req, {
+    action: "comment.create",
+    targetType: "Comment",
+    targetId: addedComment._id,
+    after: addedComment,
+  });
+
   /*
     Sending a success response
     - If everything is successful, return the newly added comment with a success message
@@ -219,7 +247,6 @@ const addComment = asyncHandler(async (req, res) => {
     .json(
       new ApiResponse(200, addedComment, videoId, "Comment added successfully")
     );
-
 });
 
 const updateComment = asyncHandler(async (req, res) => {
@@ -262,16 +289,14 @@ const updateComment = asyncHandler(async (req, res) => {
 
   /*
     Finding and updating the comment in the database
-    - We search for a comment with:
-      - '_id': matches the given comment ID
-      - 'owner': must match the logged-in user's ID (so users can only update their own comments)
+    - We search for a comment with '_id' matching the given comment ID
+    - The `commentOwnership` guard on the route already made sure the user owns it (or is an admin)
     - If found, update the 'content' field
     - { new: true } ensures the updated comment is returned
   */
   const updatedComment = await Comment.findOneAndUpdate(
     {
       _id: commentId,
-      owner: req.user._id, // Ensures users can only update their own comments
     },
     {
       $set: {
@@ -289,6 +314,14 @@ const updateComment = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while updating the comment");
   }
 
+  await recordAuditEvent(req, {
+    action: "comment.update",
+    targetType: "Comment",
+    targetId: updatedComment._id,
+    before: req.resource,
+    after: updatedComment,
+  });
+
   /*
     Sending a success response
     - If everything works, return the updated comment with a success message
@@ -298,9 +331,9 @@ const updateComment = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, updatedComment, "Comment successfully updated"));
 
   /*
-  👉 Why check for both '_id' and 'owner' when updating?
-     - We don’t want users to edit other people’s comments.
-     - This ensures that only the original commenter can update their comment.
+  👉 Why don't we filter by 'owner' here?
+     - We don’t want users to edit other people’s comments, but that is checked by the ownership guard.
+     - Filtering by owner here would also lock out admins, who are allowed to edit any comment.
 */
 });
 
@@ -319,13 +352,12 @@ const deleteComment = asyncHandler(async (req, res) => {
   }
 
   /*
-    Find the comment by its ID and ensure that the logged-in user is the owner
-    - Only the owner of the comment should be able to delete it
+    Find the comment by its ID and delete it
+    - Only the owner of the comment (or an admin/moderator) may delete it, the ownership guard checks that
     - findOneAndDelete() finds the comment and removes it in one step
   */
   const deletedCommentDoc = await Comment.findOneAndDelete({
     _id: commentId,
-    owner: req.user._id, // Ensuring only the owner can delete their comment
   });
 
   // If no comment was found or deleted, throw an error
@@ -333,6 +365,13 @@ const deleteComment = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while deleting the comment");
   }
 
+  await recordAuditEvent(req, {
+    action: "comment.delete",
+    targetType: "Comment",
+    targetId: deletedCommentDoc._id,
+    before: deletedCommentDoc,
+  });
+
   /*
     Successfully deleted the comment, return a response
     - Send back the deleted comment data as a confirmation
@@ -342,7 +381,6 @@ const deleteComment = asyncHandler(async (req, res) => {
     .json(
       new ApiResponse(200, deletedCommentDoc, "Comment deleted successfully")
     );
-
 });
 
-export { getVideoComments, addComment, updateComment, deleteComment };
\ No newline at end of file
+export { getVideoComments, addComment, updateComment, deleteComment };
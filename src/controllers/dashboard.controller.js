@@ -6,6 +6,8 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { Tweet } from "../models/tweet.model.js";
 import { Comment } from "../models/comment.model.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
+import { getPublishCountdown } from "../utils/publishSchedule.js";
 
 const getChannelStats = asyncHandler(async (req, res) => {
   // Extract the authenticated user's ID (the channel owner)
@@ -197,20 +199,34 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     - We use `Video.find({ owner: userId })` to search for all videos where the `owner` field matches `userId`.
     - `userId` represents the currently logged-in user, meaning we are getting only THEIR videos.
   */
-  const videos = await Video.find({
-    owner: userId,
-  }).sort({
-    createdAt: -1, // Sorting videos in descending order (newest first)
-  });
+  const videos = await paginateQuery(
+    Video.find({
+      owner: userId,
+    }),
+    getPaginationParams(req.query, {
+      createdAt: -1, // Sorting videos in descending order (newest first)
+    })
+  );
 
-  // - This ensures that the client knows when a channel has no videos.
-  if (!videos || videos.length === 0) {
-    throw new ApiError(404, "No videos found for this channel");
-  }
+  /*
+   Scheduled videos carry `publishInSeconds`, the countdown until they go live
+   (null for every other video). Only the owner ever sees them, this list is their own channel.
+  */
+  const now = new Date();
+  const items = videos.items.map((video) => ({
+    ...video.toObject(),
+    publishInSeconds: getPublishCountdown(video, now),
+  }));
 
   res
     .status(200)
-    .json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { ...videos, items },
+        "Channel videos fetched successfully"
+      )
+    );
 });
 
-export { getChannelStats, getChannelVideos };
\ No newline at end of file
+export { getChannelStats, getChannelVideos };
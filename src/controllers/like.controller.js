@@ -1,9 +1,30 @@
-<<<<<<< HEAD
 import { isValidObjectId } from "mongoose";
 import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { assertNotBlocked } from "../utils/userRelations.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
+
+/*
+  Blocked users can't like anything that belongs to the user who blocked them.
+  - Only checked when a like is created, removing an old like is always allowed.
+*/
+const assertCanLike = async (Model, id, name, userId) => {
+  const target = await Model.findById(id).select("owner");
+  if (!target) {
+    throw new ApiError(404, `${name} not found`);
+  }
+  await assertNotBlocked(
+    target.owner,
+    userId,
+    "You can't like this user's content"
+  );
+};
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
   // Extract videoId from request parameters (The ID of the video that the user wants to like/unlike)
@@ -34,17 +55,33 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
   if (existingLike) {
     // Remove the existing like
     await Like.findByIdAndDelete(existingLike._id);
+    await recordAuditEvent(req, {
+      action: "like.remove",
+      targetType: "Like",
+      targetId: existingLike._id,
+      before: existingLike,
+    });
+
     return res
       .status(200)
       .json(new ApiResponse(200, existingLike, "Video unliked successfully"));
   }
 
-  // If no like exists, create a new like
+  // If no like exists, create a new like (unless the video owner blocked this user)
+  await assertCanLike(Video, videoId, "Video", userId);
+
   const likeVideo = await Like.create({
     video: videoId,
     likedBy: userId,
   });
 
+  await recordAuditEvent(req, {
+    action: "like.create",
+    targetType: "Like",
+    targetId: likeVideo._id,
+    after: likeVideo,
+  });
+
   return res
     .status(201)
     .json(new ApiResponse(201, likeVideo, "Video liked successfully"));
@@ -88,11 +125,20 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
     // Remove the existing like
     await Like.findByIdAndDelete(existingLike._id);
 
+    await recordAuditEvent(req, {
+      action: "like.remove",
+      targetType: "Like",
+      targetId: existingLike._id,
+      before: existingLike,
+    });
+
     return res
       .status(200)
       .json(new ApiResponse(200, existingLike, "Comment unliked successfully"));
   }
 
+  await assertCanLike(Comment, commentId, "Comment", userId);
+
   /*
     Creating a Like Entry:
     - `comment: commentId` → Associates the like with the specific comment.
@@ -104,6 +150,13 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
     likedBy: userId, // Storing which user liked this comment
   });
 
+  await recordAuditEvent(req, {
+    action: "like.create",
+    targetType: "Like",
+    targetId: likeComment._id,
+    after: likeComment,
+  });
+
   return res
     .status(201)
     .json(new ApiResponse(201, likeComment, "Comment liked successfully"));
@@ -128,15 +181,31 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
   if (existingLike) {
     await Like.findByIdAndDelete(existingLike._id);
 
+    await recordAuditEvent(req, {
+      action: "like.remove",
+      targetType: "Like",
+      targetId: existingLike._id,
+      before: existingLike,
+    });
+
     return res
       .status(200)
       .json(new ApiResponse(200, existingLike, "Tweet unliked successfully"));
   }
 
+  await assertCanLike(Tweet, tweetId, "Tweet", userId);
+
   const likeTweet = await Like.create({
     tweet: tweetId,
     likedBy: userId,
   });
+  await recordAuditEvent(req, {
+    action: "like.create",
+    targetType: "Like",
+    targetId: likeTweet._id,
+    after: likeTweet,
+  });
+
   return res
     .status(201)
     .json(new ApiResponse(201, likeTweet, "Tweet liked successfully"));
@@ -151,17 +220,21 @@ const getLikedVideos = asyncHandler(async (req, res) => {
     - We are querying the `Like` model to find all likes where:
       - The `likedBy` field matches the user's ID (meaning videos liked by the user)
   */
-  const likedVideos = await Like.find({
-    likedBy: userId, // Only fetch likes made by this user
+  const likedVideos = await paginateQuery(
+    Like.find({
+      likedBy: userId, // Only fetch likes made by this user
 
-    /*
+      /*
       What does `$exists: true` do?
       - This ensures that the `video` field is present in the document.
       - Why? Because the `Like` collection stores likes for multiple entities (e.g., tweets or comments).
       - Without this check, we might accidentally return likes for comments and tweets instead of videos.
     */
-    video: { $exists: true },
-  }).populate("video", "_id title url"); // Populate the video details
+      video: { $exists: true },
+    }).populate("video", "_id title url"), // Populate the video details
+    // Most recently liked first, one page at a time (`cursor` continues after the previous page)
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
 
   return res
     .status(200)
@@ -190,166 +263,3 @@ Liked Videos Query - Notes:
 });
 
 export { toggleCommentLike, toggleTweetLike, toggleVideoLike, getLikedVideos };
-=======
-import { isValidObjectId } from "mongoose";
-import { Like } from "../models/like.model.js";
-import { ApiError } from "../utils/ApiError.js";
-import { ApiResponse } from "../utils/ApiResponse.js";
-import { asyncHandler } from "../utils/asyncHandler.js";
-
-const toggleVideoLike = asyncHandler(async (req, res) => {
-  // Extract videoId from request parameters (The ID of the video that the user wants to like/unlike)
-  const { videoId } = req.params;
-
-  // Get the userId of the currently authenticated user
-  const userId = req.user._id;
-
-  // Validate if videoId is a proper MongoDB ObjectId
-  if (!isValidObjectId(videoId)) {
-    throw new ApiError(400, "Invalid video ID");
-  }
-
-  /*
-     Check if the User Already Liked the Video:
-      - This checks if there's already a like from this user on this video.
-  */
-  const existingLike = await Like.findOne({
-    video: videoId,
-    likedBy: userId,
-  });
-
-  /*
-     Toggle Like Logic:
-    - If the user already liked the video, remove the like (Unlike it).
-    - If the user hasn't liked it yet, create a new like (Like it).
-  */
-  if (existingLike) {
-    // Remove the existing like
-    await Like.findByIdAndDelete(existingLike._id);
-    return res
-      .status(200)
-      .json(new ApiResponse(200, existingLike, "Video unliked successfully"));
-  }
-
-  // If no like exists, create a new like
-  const likeVideo = await Like.create({
-    video: videoId,
-    likedBy: userId,
-  });
-
-  return res
-    .status(201)
-    .json(new ApiResponse(201, likeVideo, "Video liked successfully"));
-
- });
-
-const toggleCommentLike = asyncHandler(async (req, res) => {
-  // Extract commentId from request parameters
-  const { commentId } = req.params;
-
-  // Get the userId from the authenticated user
-  const userId = req.user._id;
-
-  // Validate if commentId is a proper MongoDB ObjectId
-  if (!isValidObjectId(commentId)) {
-    throw new ApiError(400, "Invalid comment ID");
-  }
-
-  /*
-    🔎 Check if Like Already Exists:
-      - Searches for an existing like where the user has already liked the comment.
-  */
-  const existingLike = await Like.findOne({
-    comment: commentId,
-    likedBy: userId,
-  });
-
-  if (existingLike) {
-    // Remove the existing like
-    await Like.findByIdAndDelete(existingLike._id);
-
-    return res
-      .status(200)
-      .json(new ApiResponse(200, existingLike, "Comment unliked successfully"));
-  }
-
-  /*
-    Creating a Like Entry:
-    - `comment: commentId` → Associates the like with the specific comment.
-    - `likedBy: userId` → Stores the user who performed the like action.
-    
-  */
-  const likeComment = await Like.create({
-    comment: commentId, // Linking the like to the specific comment
-    likedBy: userId, // Storing which user liked this comment
-  });
-
-  return res
-    .status(201)
-    .json(new ApiResponse(201, likeComment, "Comment liked successfully"));
-});
-
-const toggleTweetLike = asyncHandler(async (req, res) => {
-  // This controller has same logic explanation as above
-
-  const { tweetId } = req.params;
-
-  const userId = req.user._id;
-
-  if (!isValidObjectId(tweetId)) {
-    throw new ApiError(400, "Invalid tweet ID");
-  }
-
-  const existingLike = await Like.findOne({
-    tweet: tweetId,
-    likedBy: userId,
-  });
-
-  if (existingLike) {
-    await Like.findByIdAndDelete(existingLike._id);
-
-    return res
-      .status(200)
-      .json(new ApiResponse(200, existingLike, "Tweet unliked successfully"));
-  }
-
-  const likeTweet = await Like.create({
-    tweet: tweetId,
-    likedBy: userId,
-  });
-  return res
-    .status(201)
-    .json(new ApiResponse(201, likeTweet, "Tweet liked successfully"));
-});
-
-const getLikedVideos = asyncHandler(async (req, res) => {
-  // Extract the user ID from the authenticated request
-  const userId = req.user._id;
-
-  /*
-
-    - We are querying the `Like` model to find all likes where:
-      - The `likedBy` field matches the user's ID (meaning videos liked by the user)
-  */
-  const likedVideos = await Like.find({
-    likedBy: userId, // Only fetch likes made by this user
-
-    /*
-      What does `$exists: true` do?
-      - This ensures that the `video` field is present in the document.
-      - Why? Because the `Like` collection stores likes for multiple entities (e.g., tweets or comments).
-      - Without this check, we might accidentally return likes for comments and tweets instead of videos.
-    */
-    video: { $exists: true },
-  }).populate("video", "_id title url"); // Populate the video details
-
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
-    );
-
-});
-
-export { toggleCommentLike, toggleTweetLike, toggleVideoLike, getLikedVideos };
->>>>>>> 0ca9a742140c877608911da320aef1ca63ad42dc
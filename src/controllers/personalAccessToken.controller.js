@@ -0,0 +1,128 @@
+import { isValidObjectId } from "mongoose";
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js";
+import { PERSONAL_ACCESS_TOKEN_PREFIX, TOKEN_SCOPES } from "../consonants.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { generateRandomToken, hashToken } from "../utils/crypto.js";
+
+const createPersonalAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name?.trim()) {
+    throw new ApiError(400, "Token name is required");
+  }
+
+  // A token needs at least one scope, and only scopes we know about
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiError(400, "At least one scope is required");
+  }
+  const unknownScopes = scopes.filter((scope) => !TOKEN_SCOPES.includes(scope));
+  if (unknownScopes.length) {
+    throw new ApiError(400, `Unknown scope(s): ${unknownScopes.join(", ")}`);
+  }
+
+  // Optional expiry, a token without one lives until it is revoked
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new ApiError(400, "expiresInDays must be a positive number");
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /*
+    The raw token is returned only once, in this response.
+    - We store its hash plus a short prefix that helps the user recognise it later.
+  */
+  const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateRandomToken()}`;
+
+  const personalAccessToken = await PersonalAccessToken.create({
+    user: req.user._id,
+    name: name.trim(),
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  const { tokenHash, ...tokenDetails } = personalAccessToken.toObject();
+
+  await recordAuditEvent(req, {
+    action: "auth.token_create",
+    targetType: "PersonalAccessToken",
+    targetId: personalAccessToken._id,
+    after: personalAccessToken,
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...tokenDetails, token },
+        "Access token created, copy it now as it won't be shown again"
+      )
+    );
+});
+
+const getPersonalAccessTokens = asyncHandler(async (req, res) => {
+  // Revoked tokens are left out, expired ones are listed so the user sees why a script stopped working
+  const tokens = await paginateQuery(
+    PersonalAccessToken.find({
+      user: req.user._id,
+      revokedAt: null,
+    }),
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tokens, "Access tokens fetched successfully"));
+});
+
+const revokePersonalAccessToken = asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  if (!isValidObjectId(tokenId)) {
+    throw new ApiError(400, "Invalid token ID");
+  }
+
+  // Matching on `user` too, so users can only revoke their own tokens
+  const token = await PersonalAccessToken.findOneAndUpdate(
+    {
+      _id: tokenId,
+      user: req.user._id,
+      revokedAt: null,
+    },
+    {
+      $set: {
+        revokedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!token) {
+    throw new ApiError(404, "Access token not found");
+  }
+
+  await recordAuditEvent(req, {
+    action: "auth.token_revoke",
+    targetType: "PersonalAccessToken",
+    targetId: token._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, token, "Access token revoked successfully"));
+});
+
+export {
+  createPersonalAccessToken,
+  getPersonalAccessTokens,
+  revokePersonalAccessToken,
+};
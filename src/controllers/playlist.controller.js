@@ -3,6 +3,8 @@ import { Playlist } from "../models/playlist.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
 
 const createPlaylist = asyncHandler(async (req, res) => {
   // Extract playlist details from request body
@@ -37,6 +39,13 @@ const createPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while creating the playlist");
   }
 
+  await recordAuditEvent(req, {
+    action: "playlist.create",
+    targetType: "Playlist",
+    targetId: playlist._id,
+    after: playlist,
+  });
+
   /*
     Send a success response:
     - Status 201 indicates successful resource creation.
@@ -74,14 +83,13 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
   /*
     Fetch all playlists owned by the specified user.
     - `find({ owner: userId })`: Queries the database for playlists where the `owner` field matches `userId`.
-    - If no playlists are found, an empty array is returned.
+    - Newest playlists first, one page at a time (see utils/pagination.js).
+    - If no playlists are found, an empty page is returned.
   */
-  const playlists = await Playlist.find({ owner: userId });
-
-  // If no playlists exist for the user, return a 404 error.
-  if (!playlists || playlists.length === 0) {
-    throw new ApiError(404, "Playlist not found");
-  }
+  const playlists = await paginateQuery(
+    Playlist.find({ owner: userId }),
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
 
   /*
     Send a success response with the retrieved playlists.
@@ -102,9 +110,8 @@ Fetching User Playlists Notes:
    - Returns an array of matching playlists or an empty array if none exist.
 
 👉 What happens if no playlists are found?
-   - We check `if (!playlists || playlists.length === 0)`, meaning:
-     - If `playlists` is `null` or `undefined`, an error is thrown.
-     - If `playlists` is an empty array, it means the user has no playlists, so we return a 404 error.
+   - The response is still a normal page: `items` is empty and `hasMore` is false.
+   - An empty list is not an error, clients can show "no playlists yet" without special-casing a 404.
 
 👉 Alternative ways to fetch user playlists?
    - `Playlist.findOne({ owner: userId })`: Returns only the first matching playlist.
@@ -205,6 +212,13 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found or video already added");
   }
 
+  await recordAuditEvent(req, {
+    action: "playlist.add_video",
+    targetType: "Playlist",
+    targetId: playlistId,
+    metadata: { videoId },
+  });
+
   /*
     Send a success response indicating the video was added.
     - Returns the updated playlist data.
@@ -283,6 +297,13 @@ const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found");
   }
 
+  await recordAuditEvent(req, {
+    action: "playlist.remove_video",
+    targetType: "Playlist",
+    targetId: updatedPlaylist._id,
+    metadata: { videoId },
+  });
+
   /*
      Success Response: 
     - Sends back the updated playlist.
@@ -333,6 +354,13 @@ const deletePlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found");
   }
 
+  await recordAuditEvent(req, {
+    action: "playlist.delete",
+    targetType: "Playlist",
+    targetId: deletedPlaylistDoc._id,
+    before: deletedPlaylistDoc,
+  });
+
   /*
     Send a success response with the deleted playlist details.
     - The response includes the deleted playlist's data.
@@ -402,6 +430,14 @@ const updatePlaylist = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Playlist not found");
   }
 
+  await recordAuditEvent(req, {
+    action: "playlist.update",
+    targetType: "Playlist",
+    targetId: updatedPlaylistDoc._id,
+    before: req.resource,
+    after: updatedPlaylistDoc,
+  });
+
   /*
      Step 4: Send a success response
     - The updated playlist is returned in the response.
@@ -0,0 +1,104 @@
+import { isValidObjectId } from "mongoose";
+import { Session } from "../models/session.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { revokeSessions } from "../utils/session.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+
+const getActiveSessions = asyncHandler(async (req, res) => {
+  /*
+    Fetch every session of the logged-in user that can still be refreshed.
+    - Revoked sessions and sessions whose refresh token expired are left out.
+    - The refresh token hash never leaves the server.
+  */
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("-refreshToken")
+    .sort({ lastUsedAt: -1 });
+
+  // Flag the session the request was made from, so clients can show "this device"
+  const activeSessions = sessions.map((session) => ({
+    ...session.toObject(),
+    current: session._id.toString() === req.sessionId?.toString(),
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        activeSessions,
+        "Active sessions fetched successfully"
+      )
+    );
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session ID");
+  }
+
+  /*
+    Only sessions that belong to the logged-in user can be revoked.
+    - Matching on `user` as well as `_id` stops users from ending other people's sessions.
+  */
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      user: req.user._id,
+      revokedAt: null,
+    },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedReason: "revoked",
+      },
+    },
+    { new: true }
+  ).select("-refreshToken");
+
+  if (!session) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  await recordAuditEvent(req, {
+    action: "auth.session_revoke",
+    targetType: "Session",
+    targetId: session._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, session, "Session revoked successfully"));
+});
+
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  // Ends every session of the user except the one this request was made from
+  const result = await revokeSessions({
+    user: req.user._id,
+    _id: { $ne: req.sessionId },
+  });
+
+  await recordAuditEvent(req, {
+    action: "auth.session_revoke_others",
+    metadata: { revokedCount: result.modifiedCount },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedCount: result.modifiedCount },
+        "Other sessions revoked successfully"
+      )
+    );
+});
+
+export { getActiveSessions, revokeSession, revokeOtherSessions };
@@ -3,6 +3,9 @@ import { Subscription } from "../models/subscription.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { assertNotBlocked } from "../utils/userRelations.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
 
 const toggleSubscription = asyncHandler(async (req, res) => {
   // Extract channelId from request parameters
@@ -48,13 +51,34 @@ const toggleSubscription = asyncHandler(async (req, res) => {
   if (existingSubscription) {
     // Remove the existing subscription (unsubscribe)
     await Subscription.findByIdAndDelete(existingSubscription._id);
+    await recordAuditEvent(req, {
+      action: "subscription.remove",
+      targetType: "Subscription",
+      targetId: existingSubscription._id,
+      before: existingSubscription,
+    });
     return res
       .status(200)
       .json(new ApiResponse(200, {}, "Unsubscribed successfully"));
   }
 
-  // If no subscription exists, create a new one (subscribe)
-  await Subscription.create({ subscriber: subscriberId, channel: channelId });
+  // If no subscription exists, create a new one (subscribe), unless the channel blocked this user
+  await assertNotBlocked(
+    channelId,
+    subscriberId,
+    "You can't subscribe to this channel"
+  );
+
+  const subscription = await Subscription.create({
+    subscriber: subscriberId,
+    channel: channelId,
+  });
+  await recordAuditEvent(req, {
+    action: "subscription.create",
+    targetType: "Subscription",
+    targetId: subscription._id,
+    after: subscription,
+  });
   return res
     .status(201)
     .json(new ApiResponse(201, {}, "Subscribed successfully"));
@@ -93,14 +117,13 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
     - `.populate("subscriber", "_id name email")` replaces the `subscriber` field (which is just an ID) with full details (ID, name, email).
   */
 
-  const subscribersDocs = await Subscription.find({
-    channel: channelId,
-  }).populate("subscriber", "_id name email");
-
-  // If no subscribers are found, return a 404 error.
-  if (!subscribersDocs) {
-    throw new ApiError(404, "No subscribers found for this channel");
-  }
+  const subscribersDocs = await paginateQuery(
+    Subscription.find({
+      channel: channelId,
+    }).populate("subscriber", "_id name email"),
+    // Newest subscribers first, one page at a time
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
 
   /*
     Send a success response with the list of subscribers.
@@ -181,18 +204,16 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
      - `populate("channel", "_id name email")`: Fetches the channel details (_id, name, email) for each subscription.
      - Why? Because subscriptions store only IDs. Populating converts them into actual channel objects. */
 
-  const subscribedChannels = await Subscription.find({
-    subscriber: subscriberId,
-  }).populate("channel", "_id name email");
-
-  // If no subscribed channels found, return an error
-  if (!subscribedChannels || subscribedChannels.length === 0) {
-    throw new ApiError(404, "No subscribed channels found");
-  }
+  const subscribedChannels = await paginateQuery(
+    Subscription.find({
+      subscriber: subscriberId,
+    }).populate("channel", "_id name email"),
+    // Most recent subscriptions first, one page at a time
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
 
-  /*  Why are we checking `subscribedChannels.length === 0`?
-     - `.find()` always returns an array. If empty, that means no subscriptions exist.
-     - Without this check, the user might receive an empty array instead of a proper message.
+  /*  Why is there no 404 when the user has no subscriptions?
+     - Like every list, this returns a page: `items` is simply empty and `hasMore` is false.
   */
 
   // Return a success response with the list of subscribed channels
@@ -206,7 +227,7 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
       )
     );
 
-    /*
+  /*
      Breaking it Down: Why We Search by `subscriber` and Not `channel`, to get the list of channels a user has subscribed to
     
     - Consider we have,
@@ -1,8 +1,12 @@
 import { isValidObjectId } from "mongoose";
 import { Tweet } from "../models/tweet.model.js";
+import { Subscription } from "../models/subscription.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { getHiddenUserIds, isBlockedBy } from "../utils/userRelations.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
 
 const createTweet = asyncHandler(async (req, res) => {
   const { content } = req.body; // Extracts the tweet content from the request body
@@ -28,6 +32,13 @@ const createTweet = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while creating a tweet");
   }
 
+  await recordAuditEvent(req, {
+    action: "tweet.create",
+    targetType: "Tweet",
+    targetId: newTweet._id,
+    after: newTweet,
+  });
+
   // Success Response
   return res
     .status(201)
@@ -53,15 +64,19 @@ const getUserTweets = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid user ID");
   }
 
+  // Users who blocked the viewer don't want their tweets to be seen by them
+  if (await isBlockedBy(userId, req.user._id)) {
+    throw new ApiError(403, "You can't view this user's tweets");
+  }
+
   // Fetch tweets from the database
   // We query the Tweet collection for tweets where the 'owner' field matches the userId
   // We also sort the tweets by 'createdAt' in descending order (-1) to show the latest tweets first
-  const tweets = await Tweet.find({ owner: userId }).sort({ createdAt: -1 });
-
-  //  Handle case where no tweets are found
-  if (!tweets || tweets.length === 0) {
-    throw new ApiError(404, "Tweets are not found");
-  }
+  // One page at a time: `cursor` is the `nextCursor` of the previous page
+  const tweets = await paginateQuery(
+    Tweet.find({ owner: userId }),
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
 
   // Return the response with tweets
   return res
@@ -71,13 +86,43 @@ const getUserTweets = asyncHandler(async (req, res) => {
   /*
 Fetching User Tweets - Notes:
 
-👉 Why do we use `.sort({ createdAt: -1 })`?
+👉 Why do we sort by `{ createdAt: -1 }`?
    - Sorting ensures that the newest tweets appear first in the response.
    - `-1` means descending order, so the most recent tweets are shown first.
+   - The pagination helper adds `_id` as a tie breaker, so two tweets with the same timestamp
+     can't end up on both pages (or on neither).
 
 */
 });
 
+const getTweetFeed = asyncHandler(async (req, res) => {
+  /*
+    Tweets from every channel the logged-in user is subscribed to, newest first.
+    - Tweets from muted or blocked users (and from users who blocked the viewer) are left out.
+  */
+  const [channelIds, hiddenUserIds] = await Promise.all([
+    Subscription.find({ subscriber: req.user._id }).distinct("channel"),
+    getHiddenUserIds(req.user._id),
+  ]);
+
+  const hidden = new Set(hiddenUserIds.map((id) => id.toString()));
+  const visibleChannelIds = channelIds.filter(
+    (id) => !hidden.has(id.toString())
+  );
+
+  const tweets = await paginateQuery(
+    Tweet.find({ owner: { $in: visibleChannelIds } }).populate(
+      "owner",
+      "username fullName avatar"
+    ),
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tweets, "Tweet feed fetched successfully"));
+});
+
 const updateTweet = asyncHandler(async (req, res) => {
   // Extract tweetId from request parameters
   const { tweetId } = req.params;
@@ -85,14 +130,10 @@ const updateTweet = asyncHandler(async (req, res) => {
   // Extract updated tweet content from request body
   const { content } = req.body;
 
-  // Get the ID of the currently authenticated user
-  const userId = req.user._id;
-
   /*
     Tweet Updating Logic:
     - `tweetId`: The ID of the tweet the user wants to update.
     - `content`: The new content that will replace the existing tweet.
-    - `userId`: The ID of the user attempting to update the tweet.
   */
 
   // Validate if tweetId is a proper MongoDB ObjectId
@@ -111,11 +152,8 @@ const updateTweet = asyncHandler(async (req, res) => {
 
   /*
     - Users should only be able to edit their own tweets.
-    - Convert ObjectIds to strings before comparing.
+    - That is enforced by the `tweetOwnership` guard on the route (which also lets admins through).
   */
-  if (tweet.owner.toString() !== userId.toString()) {
-    throw new ApiError(403, "You can only update your own tweets");
-  }
 
   /*
      Update the Tweet:
@@ -139,6 +177,14 @@ const updateTweet = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while updating the tweet");
   }
 
+  await recordAuditEvent(req, {
+    action: "tweet.update",
+    targetType: "Tweet",
+    targetId: updatedTweet._id,
+    before: tweet,
+    after: updatedTweet,
+  });
+
   /*
      Responding to the Client:
     - Returns the updated tweet data.
@@ -166,9 +212,6 @@ const deleteTweet = asyncHandler(async (req, res) => {
   // Extract the tweetId from request parameters (The ID of the tweet the user wants to delete.)
   const { tweetId } = req.params;
 
-  // Get the currently logged-in user's ID
-  const userId = req.user._id;
-
   // Validate if tweetId is a proper MongoDB ObjectId
   if (!isValidObjectId(tweetId)) {
     throw new ApiError(400, "Invalid tweet ID");
@@ -184,13 +227,9 @@ const deleteTweet = asyncHandler(async (req, res) => {
   }
 
   /*
-   Check if the user owns the tweet.
-    - Only the owner of the tweet should be able to delete it.
-    - Convert ObjectIds to strings before comparing (MongoDB IDs are objects).
+   Only the owner of the tweet (or an admin/moderator) may delete it.
+    - That is checked by the `tweetOwnership` guard on the route before we get here.
   */
-  if (tweet.owner.toString() !== userId.toString()) {
-    throw new ApiError(403, "You can only delete your own tweets");
-  }
 
   /*
     Delete the tweet from the database.
@@ -202,6 +241,13 @@ const deleteTweet = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Something went wrong while deleting a tweet");
   }
 
+  await recordAuditEvent(req, {
+    action: "tweet.delete",
+    targetType: "Tweet",
+    targetId: deletedTweet._id,
+    before: deletedTweet,
+  });
+
   // Send a success response back to the user.
   res
     .status(200)
@@ -222,4 +268,4 @@ const deleteTweet = asyncHandler(async (req, res) => {
 */
 });
 
-export { createTweet, getUserTweets, updateTweet, deleteTweet };
+export { createTweet, getUserTweets, getTweetFeed, updateTweet, deleteTweet };
@@ -0,0 +1,191 @@
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+import {
+  findUserWithTwoFactorSecrets,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
+
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findUserWithTwoFactorSecrets(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+
+  /*
+    Enrollment step 1:
+    - Generate a new secret and keep it as "pending".
+    - 2FA is only switched on once the user proves their app produces valid codes (confirmTwoFactor).
+  */
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || "VidTube",
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUri },
+        "Scan the QR code and confirm with a code from your app"
+      )
+    );
+});
+
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Code is required");
+  }
+
+  const user = await findUserWithTwoFactorSecrets(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "Start the two-factor setup first");
+  }
+
+  // Enrollment step 2: the code must match the pending secret
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "auth.2fa_enable",
+    targetType: "User",
+    targetId: user._id,
+  });
+
+  /*
+    The plain recovery codes are only ever returned here.
+    - We store just their hashes, so the user has to save them now.
+  */
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Two-factor authentication enabled"
+      )
+    );
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    throw new ApiError(
+      400,
+      "Password and a code or recovery code are required"
+    );
+  }
+
+  const user = await findUserWithTwoFactorSecrets(req.user._id);
+
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  // Turning 2FA off needs both factors, a stolen session alone isn't enough
+  const isPasswordValid = await user.isPasswordCorrect(password);
+  if (!isPasswordValid) {
+    throw new ApiError(401, "Invalid user credentials");
+  }
+
+  const isSecondFactorValid = await verifySecondFactor(user, {
+    code,
+    recoveryCode,
+  });
+  if (!isSecondFactorValid) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "auth.2fa_disable",
+    targetType: "User",
+    targetId: user._id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ApiError(400, "Code is required");
+  }
+
+  const user = await findUserWithTwoFactorSecrets(req.user._id);
+
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  const isCodeValid = await verifySecondFactor(user, { code });
+  if (!isCodeValid) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  // The new set replaces the old one completely, unused old codes stop working
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  await recordAuditEvent(req, {
+    action: "auth.2fa_recovery_codes_regenerate",
+    targetType: "User",
+    targetId: user._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes: codes },
+        "Recovery codes regenerated successfully"
+      )
+    );
+});
+
+export {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,344 @@
+import { isValidObjectId } from "mongoose";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { startLockHeartbeat } from "../utils/lockHeartbeat.js";
+import { parseTags } from "../utils/videoSearch.js";
+import { parsePublishAt } from "../utils/publishSchedule.js";
+import { submitVideoUpload } from "../jobs/videoProcessing.job.js";
+import {
+  appendUploadChunk,
+  createUploadFile,
+  getMaxUploadSize,
+  getUploadFilePath,
+  getUploadSessionExpiry,
+  removeUploadFile,
+  setUploadHeaders,
+  UPLOAD_LOCK_HEARTBEAT_MS,
+  UPLOAD_LOCK_TIMEOUT_MS,
+} from "../utils/resumableUpload.js";
+
+/*
+  Resumable uploads, offset based like tus:
+  1. POST   /uploads                      announce the file, get an upload id
+  2. PATCH  /uploads/:uploadId            send the next chunk, `Upload-Offset` says where it starts
+  3. HEAD   /uploads/:uploadId            after a network drop: where to continue
+  4. POST   /uploads/:uploadId/finalize   turn the complete file into a video (same flow as publishAVideo)
+*/
+
+const toSessionDetails = (session) => ({
+  uploadId: session._id,
+  fileName: session.fileName,
+  totalSize: session.totalSize,
+  offset: session.receivedBytes,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  video: session.video || null,
+});
+
+// Sessions of the current user that can still receive data (or were finalized)
+const findUploadSession = async (req) => {
+  const { uploadId } = req.params;
+
+  if (!isValidObjectId(uploadId)) {
+    throw new ApiError(400, "Invalid upload ID");
+  }
+
+  const session = await UploadSession.findOne({
+    _id: uploadId,
+    user: req.user._id,
+  });
+
+  // an expired session is gone, even if the cleanup job hasn't removed it yet
+  if (
+    !session ||
+    (session.status === "active" && session.expiresAt <= new Date())
+  ) {
+    throw new ApiError(404, "Upload not found or expired");
+  }
+  return session;
+};
+
+// Sessions no request is working on: never locked, or the lock belongs to a dead connection
+const getUnlockedCondition = () => ({
+  $or: [
+    { lockedAt: null },
+    { lockedAt: { $lt: new Date(Date.now() - UPLOAD_LOCK_TIMEOUT_MS) } },
+  ],
+});
+
+// Claims the session for one request, a second chunk (or finalize) at the same time gets a 409
+const lockUploadSession = async (session, conditions = {}) => {
+  return await UploadSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: "active",
+      ...conditions,
+      ...getUnlockedCondition(),
+    },
+    { $set: { lockedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const createUploadSession = asyncHandler(async (req, res) => {
+  const { fileName, fileSize, mimeType } = req.body;
+
+  if (typeof fileName !== "string" || !fileName.trim()) {
+    throw new ApiError(400, "fileName is required");
+  }
+
+  const totalSize = Number(fileSize);
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw new ApiError(400, "fileSize must be a positive number of bytes");
+  }
+  if (totalSize > getMaxUploadSize()) {
+    throw new ApiError(413, "File is too large");
+  }
+
+  if (mimeType && !String(mimeType).startsWith("video/")) {
+    throw new ApiError(400, "Only video files can be uploaded");
+  }
+
+  const session = await UploadSession.create({
+    user: req.user._id,
+    fileName: fileName.trim(),
+    mimeType,
+    totalSize,
+    expiresAt: getUploadSessionExpiry(),
+  });
+  await createUploadFile(session);
+
+  setUploadHeaders(res, session);
+  return res
+    .status(201)
+    .location(`${req.baseUrl}/${session._id}`)
+    .json(
+      new ApiResponse(
+        201,
+        toSessionDetails(session),
+        "Upload created, send the file in chunks"
+      )
+    );
+});
+
+// GET returns the details, HEAD (handled by the same route) only the Upload-* headers
+const getUploadSession = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req);
+
+  setUploadHeaders(res, session);
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toSessionDetails(session),
+        "Upload fetched successfully"
+      )
+    );
+});
+
+const uploadChunk = asyncHandler(async (req, res) => {
+  if (!req.is("application/offset+octet-stream")) {
+    throw new ApiError(
+      415,
+      "Chunks must be sent as application/offset+octet-stream"
+    );
+  }
+
+  const offset = Number(req.get("Upload-Offset"));
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, "Upload-Offset header is required");
+  }
+
+  const session = await findUploadSession(req);
+  if (session.status !== "active") {
+    throw new ApiError(409, "Upload has already been finalized");
+  }
+
+  /*
+    The chunk has to start exactly where the file ends:
+    - a client that lost track (e.g. the response to its last chunk never arrived) gets a 409
+      with the current `Upload-Offset` and continues from there.
+  */
+  const lockedSession = await lockUploadSession(session, {
+    receivedBytes: offset,
+  });
+  if (!lockedSession) {
+    setUploadHeaders(res, session);
+    throw new ApiError(
+      409,
+      session.receivedBytes !== offset
+        ? `Upload-Offset does not match, the upload is at ${session.receivedBytes}`
+        : "Another chunk of this upload is still being received"
+    );
+  }
+
+  /*
+    A large chunk on a slow connection can take longer than the lock timeout,
+    the heartbeat keeps the lock fresh for as long as data is still arriving.
+  */
+  const heartbeat = startLockHeartbeat(
+    UploadSession,
+    lockedSession,
+    UPLOAD_LOCK_HEARTBEAT_MS
+  );
+  let chunkResult, currentLock;
+  try {
+    chunkResult = await appendUploadChunk(lockedSession, req);
+  } finally {
+    currentLock = await heartbeat.stop();
+  }
+  const { offset: newOffset, error } = chunkResult;
+
+  // only while the lock is still ours, otherwise another request owns the file by now
+  const updatedSession = await UploadSession.findOneAndUpdate(
+    { _id: lockedSession._id, lockedAt: currentLock },
+    {
+      $set: { receivedBytes: newOffset, expiresAt: getUploadSessionExpiry() },
+      $unset: { lockedAt: 1 },
+    },
+    { new: true }
+  );
+  if (!updatedSession) {
+    throw new ApiError(
+      409,
+      "Upload was taken over by another request, check Upload-Offset and resume"
+    );
+  }
+
+  setUploadHeaders(res, updatedSession);
+  if (error) {
+    // what did arrive is kept, the client resumes from Upload-Offset
+    throw error instanceof ApiError
+      ? error
+      : new ApiError(400, "Upload interrupted, resume from Upload-Offset");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        toSessionDetails(updatedSession),
+        newOffset === updatedSession.totalSize
+          ? "Upload complete, it can be finalized"
+          : "Chunk received"
+      )
+    );
+});
+
+const finalizeUpload = asyncHandler(async (req, res) => {
+  const { title, description, tags, publishAt } = req.body;
+  const session = await findUploadSession(req);
+
+  // Finalizing twice (e.g. the first response got lost) returns the same video
+  if (session.status === "completed") {
+    const video = await Video.findById(session.video);
+    return res
+      .status(200)
+      .json(new ApiResponse(200, video, "Upload was already finalized"));
+  }
+
+  if (!title) {
+    throw new ApiError(400, "Title should not be empty");
+  }
+  if (!description) {
+    throw new ApiError(400, "Description should not be empty");
+  }
+  const scheduledFor =
+    publishAt !== undefined ? parsePublishAt(publishAt) : undefined;
+
+  if (session.receivedBytes < session.totalSize) {
+    setUploadHeaders(res, session);
+    throw new ApiError(
+      409,
+      `Upload is incomplete, ${session.receivedBytes} of ${session.totalSize} bytes received`
+    );
+  }
+
+  const lockedSession = await lockUploadSession(session);
+  if (!lockedSession) {
+    throw new ApiError(409, "Upload is still being written or finalized");
+  }
+
+  // From here on it is the regular upload: staged, stored as "queued" and processed in the background
+  let videoDoc;
+  try {
+    videoDoc = await submitVideoUpload({
+      owner: req.user._id,
+      title,
+      description,
+      tags: parseTags(tags),
+      videoFilePath: getUploadFilePath(lockedSession),
+      thumbnailPath: req.file?.path, // optional, like in publishAVideo
+      publishAt: scheduledFor,
+      restoreVideoFile: true, // finalizing may be retried, the session keeps its file
+    });
+  } catch (error) {
+    await UploadSession.updateOne(
+      { _id: lockedSession._id },
+      { $unset: { lockedAt: 1 } }
+    );
+    throw new ApiError(500, "Something went wrong while publishing a video");
+  }
+
+  // the file now belongs to the video, the session only remembers which video it became
+  await UploadSession.updateOne(
+    { _id: lockedSession._id },
+    {
+      $set: { status: "completed", video: videoDoc._id },
+      $unset: { lockedAt: 1 },
+    }
+  );
+
+  await recordAuditEvent(req, {
+    action: "video.create",
+    targetType: "Video",
+    targetId: videoDoc._id,
+    after: videoDoc,
+    metadata: { uploadId: lockedSession._id },
+  });
+
+  const { sourceFile, sourceThumbnail, ...video } = videoDoc.toObject();
+  return res
+    .status(202)
+    .json(new ApiResponse(202, video, "Video uploaded, it is being processed"));
+});
+
+const cancelUpload = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req);
+
+  // not while a chunk is being written or the upload is being finalized, the file is in use
+  const deletedSession = await UploadSession.findOneAndDelete({
+    _id: session._id,
+    status: "active",
+    ...getUnlockedCondition(),
+  });
+  if (!deletedSession) {
+    throw new ApiError(
+      409,
+      session.status !== "active"
+        ? "Upload has already been finalized"
+        : "Upload is still being written or finalized, try again later"
+    );
+  }
+  await removeUploadFile(deletedSession);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, toSessionDetails(deletedSession), "Upload cancelled")
+    );
+});
+
+export {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  finalizeUpload,
+  cancelUpload,
+};
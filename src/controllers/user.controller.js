@@ -1,27 +1,51 @@
-import { uploadonCloudinary } from "../utils/cloudinary.js"
+import { buildStorageKey, uploadFile } from "../utils/storage/storage.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
 import {ApiError} from "../utils/ApiError.js"
 import { User } from "../models/user.model.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
+import { Session } from "../models/session.model.js"
+import { UserToken } from "../models/userToken.model.js"
+import { UsernameHistory } from "../models/usernameHistory.model.js"
+import { findUserByPreviousHandle, isUsernameAvailable, validateUsernameFormat } from "../utils/username.js"
+import { createSession, revokeReusedSession, revokeSessions, rotateSessionTokens } from "../utils/session.js"
+import { sendMail } from "../utils/mail/mailer.js"
+import { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } from "../utils/loginAttempts/loginThrottle.js"
+import {
+    findUserWithTwoFactorSecrets,
+    generateTwoFactorChallenge,
+    verifySecondFactor,
+    verifyTwoFactorChallenge
+} from "../utils/twoFactor.js"
+import { buildClientLink, emailVerificationMail, passwordResetMail } from "../utils/mail/templates.js"
+import { hashToken, safeCompare } from "../utils/crypto.js"
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js"
+import { Video } from "../models/video.model.js"
+import { WatchProgress } from "../models/watchProgress.model.js"
+import { toResumeInfo } from "../utils/watchProgress.js"
+import { recordAuditEvent } from "../utils/auditLog.js"
 import jwt from "jsonwebtoken"
-import fs from "fs"
-import mongoose from "mongoose"
 
-const generateAccessandRefreshTokens=async(userId)=>{
+const generateAccessandRefreshTokens=async(user,req)=>{
     try {
-        const user=await User.findById(userId)
-        const accessToken=user.generateAccessToken()
-        const refreshToken=user.generateRefreshToken()
-        user.refreshToken=refreshToken
-        await user.save({
-            validateBeforeSave:false
-        })
-        return {accessToken,refreshToken}
+        // each login gets its own session instead of overwriting a single token on the user
+        const {accessToken,refreshToken,session}=await createSession(user,req)
+        return {accessToken,refreshToken,session}
     } catch (error) {
         throw new ApiError(500,'something went wrong')
     }
 }
 
+const sendVerificationEmail=async(user)=>{
+    const expiresInMinutes=Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_MINUTES)||24*60
+    const token=await UserToken.issue(user._id,"email_verification",expiresInMinutes,{email:user.email})
+    const mail=emailVerificationMail({
+        fullName:user.fullName,
+        link:buildClientLink("/verify-email",token),
+        expiresInMinutes
+    })
+    await sendMail({to:user.email,...mail})
+}
+
 const registerUser=asyncHandler(
     async (req,res)=>{
    // get user details
@@ -31,14 +55,24 @@ const registerUser=asyncHandler(
    if([fullname,username,email,password].some((field)=> field?.trim()===""))
 {
     throw new ApiError (400,"All fields are required")
-}   // check if user already exists : username,email
+}   // same handle rules as updateUsername: format and reserved names like "admin"
+    const handle=String(username||"").trim().toLowerCase()
+    const usernameError=validateUsernameFormat(handle)
+    if(usernameError){
+        throw new ApiError(400,usernameError)
+    }
+    // check if user already exists : username,email
     const existedUser= await User.findOne({
-        $or:[{username},{email}]
+        $or:[{username:handle},{email}]
     })
 
     if(existedUser){
         throw new ApiError(409,"Username with email or username already exists")
     }
+    // handles someone recently gave up are kept for them for a while
+    if(!(await isUsernameAvailable(handle))){
+        throw new ApiError(409,"Username with email or username already exists")
+    }
     const avatarLocalPath=req.files?.avatar[0]?.path;
     let coverimgLocalPath;
    // file upload kiya ya nahi.
@@ -48,9 +82,9 @@ const registerUser=asyncHandler(
    if(req.files && Array.isArray(req.files.coverImage) && req.files.coverImage.length>0){
     coverimgLocalPath=req.files.coverImage[0].path
    }
-   //upload them to cloudinary,avatar.
-   const avtr=await uploadonCloudinary(avatarLocalPath)
-   const cvrimg=await uploadonCloudinary(coverimgLocalPath)
+   //upload them to storage,avatar.
+   const avtr=await uploadFile(avatarLocalPath,buildStorageKey("avatars",avatarLocalPath))
+   const cvrimg=await uploadFile(coverimgLocalPath,buildStorageKey("covers",coverimgLocalPath))
 
    
    if(!avtr){
@@ -60,19 +94,35 @@ const registerUser=asyncHandler(
    const user=await User.create({
     fullName:fullname,
     avatar:avtr.url,
+    avatarKey:avtr.key,
     coverImage:cvrimg?.url||"",
+    coverImageKey:cvrimg?.key,
     email,
     password,
-    username:username.toLowerCase()
+    username:handle
    });
    // remove password & refresh token from res and check for user hai ya nahi.
   const createdUser= await User.findById(user._id).select(
-    "-password -refreshToken"
+    "-password"
   );
   
     if(!createdUser){
         throw new ApiError(500,"Something went wrong while creating user")
     }
+   await recordAuditEvent(req,{
+    action:"user.register",
+    actor:createdUser._id,
+    targetType:"User",
+    targetId:createdUser._id,
+    after:createdUser
+   })
+   // the account works right away, but publishing/commenting/tweeting waits for a verified email
+   try {
+    await sendVerificationEmail(createdUser)
+   } catch (error) {
+    // a mail hiccup shouldn't fail the signup, the user can ask for a new link
+    console.error("Could not send verification email",error)
+   }
    // return res
    return res.status(201).json(
     new ApiResponse(200,createdUser,"user Registered Successfully")
@@ -80,6 +130,38 @@ const registerUser=asyncHandler(
     }
 ) 
 
+// creates the session and sends the tokens, last step of both the password and the 2FA login
+const sendLoginResponse=async(req,res,user)=>{
+   await recordLoginSuccess(req,user._id)
+   //access and refresh token
+   const {accessToken,refreshToken,session}=await generateAccessandRefreshTokens(user,req)
+   await recordAuditEvent(req,{
+    action:"auth.login",
+    actor:user._id,
+    targetType:"Session",
+    targetId:session._id,
+    metadata:{twoFactor:Boolean(user.twoFactor?.enabled)}
+   })
+
+   //send cookie
+   const loggedInUser=await User.findById(user._id).select(
+    "-password"
+   )
+   const options={httpOnly:true,secure:true}
+   return res.status(200).
+   cookie("accessToken",accessToken,options)
+   .cookie("refreshToken",refreshToken,options)
+   .json(
+    new ApiResponse(
+        200,
+        {
+            user:loggedInUser,accessToken,refreshToken
+        },
+        `User logged in successfully`
+    )
+   )
+}
+
 const loginUser=asyncHandler(async(req,res)=>{
    // req body->data
    const {email,username,password}=req.body
@@ -87,54 +169,104 @@ const loginUser=asyncHandler(async(req,res)=>{
    if (!username && !email) {
     throw new ApiError(400,"username or email is required")
    }
+   // throttled IPs are turned away before we even look the user up
+   await assertLoginAllowed(req,res)
       // find the user
    const user=await User.findOne({
     $or:[{username},{email}]
    })
 
    if(!user){
+    await recordLoginFailure(req)
+    await recordAuditEvent(req,{
+        action:"auth.login_failed",
+        actor:null,
+        metadata:{identifier:username||email,reason:"unknown_user"}
+    })
     throw new ApiError(404,"User does not exist")
    }
+   await assertLoginAllowed(req,res,{userId:user._id})
    //password check
    const isPasswordValid=await user.isPasswordCorrect(password)            // take the instance of the user (not the mongoDB initialised model.)
    if(!isPasswordValid){
+    await recordLoginFailure(req,{userId:user._id})
+    await recordAuditEvent(req,{
+        action:"auth.login_failed",
+        actor:user._id,
+        targetType:"User",
+        targetId:user._id,
+        metadata:{reason:"invalid_password"}
+    })
     throw new ApiError(401,"Invalid user credentials ")
    }
-   //access and refresh token
-   const {accessToken,refreshToken}=await generateAccessandRefreshTokens(user._id)
-
-   //send cookie
-   const loggedInUser=await User.findById(user._id).select(
-    "-password -refreshToken"
-   )
-   const options={httpOnly:true,secure:true}
-   res.status(200).
-   cookie("accessToken",accessToken,options)
-   .cookie("refreshToken",refreshToken,options)
-   .json(
-    new ApiResponse(
-        200,
-        {
-            user:loggedInUser,accessToken,refreshToken
-        },
-        `User logged in successfully`
+   // with 2FA on, the password only earns a short-lived challenge, the tokens come from loginWithTwoFactor
+   if(user.twoFactor?.enabled){
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            {
+                twoFactorRequired:true,
+                challengeToken:generateTwoFactorChallenge(user)
+            },
+            "Two-factor code required"
+        )
     )
-   )
+   }
+   return await sendLoginResponse(req,res,user)
+})
+
+const loginWithTwoFactor=asyncHandler(async(req,res)=>{
+    const {challengeToken,code,recoveryCode}=req.body
+    if(!challengeToken || (!code && !recoveryCode)){
+        throw new ApiError(400,"challenge token and a code or recovery code are required")
+    }
+    let decodedChallenge
+    try {
+        decodedChallenge=verifyTwoFactorChallenge(challengeToken)
+    } catch (error) {
+        throw new ApiError(401,"Two-factor challenge is invalid or has expired")
+    }
+    const user=await findUserWithTwoFactorSecrets(decodedChallenge._id)
+    if(!user || !user.twoFactor?.enabled){
+        throw new ApiError(401,"Two-factor challenge is invalid or has expired")
+    }
+    // wrong codes count towards the same lockout as wrong passwords
+    await assertLoginAllowed(req,res,{userId:user._id})
+    const isSecondFactorValid=await verifySecondFactor(user,{code,recoveryCode})
+    if(!isSecondFactorValid){
+        await recordLoginFailure(req,{userId:user._id})
+        await recordAuditEvent(req,{
+            action:"auth.login_failed",
+            actor:user._id,
+            targetType:"User",
+            targetId:user._id,
+            metadata:{reason:"invalid_two_factor_code"}
+        })
+        throw new ApiError(401,"Invalid two-factor code")
+    }
+    return await sendLoginResponse(req,res,user)
 })
 
 const logOutUser=asyncHandler(async(req,res)=>{
- await User.findByIdAndUpdate(
-    req.user._id,
+ // only the session this request belongs to is ended, other devices stay logged in
+ await Session.findOneAndUpdate(
     {
-        $set:{
-            refreshToken:undefined
-        }
+        _id:req.sessionId,
+        user:req.user._id,
+        revokedAt:null
     },
     {
-        new:true
+        $set:{
+            revokedAt:new Date(),
+            revokedReason:"logout"
+        }
     }
-
  )
+ await recordAuditEvent(req,{
+    action:"auth.logout",
+    targetType:"Session",
+    targetId:req.sessionId
+ })
  const options={httpOnly:true,secure:true}
  return res.
  status(200).
@@ -144,6 +276,18 @@ const logOutUser=asyncHandler(async(req,res)=>{
  
 })
 
+// a retired refresh token was presented: the session is revoked, whoever holds the newest token has to log in again
+const rejectReusedRefreshToken=async(session,req)=>{
+    await revokeReusedSession(session,req)
+    await recordAuditEvent(req,{
+        action:"auth.refresh_token_reuse",
+        actor:session.user,
+        targetType:"Session",
+        targetId:session._id
+    })
+    throw new ApiError(401,"Refresh token is expired or used")
+}
+
 const refreshAccessToken=asyncHandler(async(req,res)=>{
     const incomingRefreshToken=req.cookies.refreshToken || req.body.refreshToken
     if(!incomingRefreshToken){
@@ -151,18 +295,38 @@ const refreshAccessToken=asyncHandler(async(req,res)=>{
     }
  try {
        const decodedToken=jwt.verify(incomingRefreshToken,process.env.REFRESH_TOKEN_SECRET)
-       const user=await User.findById(decodedToken?._id)
-       if(!user){
+       const session=await Session.findById(decodedToken?.sid)
+       if(!session || session.user.toString()!==decodedToken._id){
            throw new ApiError(401,"invalid  refresh token")
        }
-       if(incomingRefreshToken!=user?.refreshToken){
-           throw new ApiError(401,"Refresh token is expired or used")
+       // a correctly signed token that isn't the newest one of its session is a retired token being replayed
+       const incomingTokenHash=hashToken(incomingRefreshToken)
+       if(!safeCompare(incomingTokenHash,session.refreshToken)){
+           await rejectReusedRefreshToken(session,req)
+       }
+       if(!session.isActive()){
+           throw new ApiError(401,"Session has been revoked")
+       }
+       const user=await User.findById(session.user)
+       if(!user){
+           throw new ApiError(401,"invalid  refresh token")
        }
        const options={httpOnly:true,secure:true}
-       const {accessToken,newRefeshToken}= await generateAccessandRefreshTokens(user._id)
+       // only one of two refreshes racing with the same token wins, the other one used a retired token
+       const rotated=await rotateSessionTokens(user,session,incomingTokenHash)
+       if(!rotated){
+           await rejectReusedRefreshToken(session,req)
+       }
+       const {accessToken,refreshToken}=rotated
+       await recordAuditEvent(req,{
+           action:"auth.token_refresh",
+           actor:user._id,
+           targetType:"Session",
+           targetId:session._id
+       })
        res.status(200).
        cookie("accessToken",accessToken,options)
-       .cookie("refreshToken",newRefeshToken,options)
+       .cookie("refreshToken",refreshToken,options)
        .json(
         new ApiResponse(
             200,
@@ -181,45 +345,246 @@ const refreshAccessToken=asyncHandler(async(req,res)=>{
 
 const changeCurrentPassword=asyncHandler(async(req,res)=>{
     const {oldPassword,newPassword}=req.body
-    const user=User.findById(req.user?._id)
-      const ispasscorr= user.isPasswordCorrect(oldPassword)
+    const user=await User.findById(req.user?._id)
+      const ispasscorr=await user.isPasswordCorrect(oldPassword)
      if(!ispasscorr){
         throw new ApiError(400,"password incorrect")
      }
      user.password=newPassword
     await user.save({validateBeforeSave:false})
+    await recordAuditEvent(req,{
+        action:"auth.password_change",
+        targetType:"User",
+        targetId:user._id
+    })
     
     return res.
     status(200).json(new ApiResponse(200,{},"Password changed successfully"))
 })
 
+const forgotPassword=asyncHandler(async(req,res)=>{
+    const {email}=req.body
+    // anything but a string (e.g. {"$ne":null}) is rejected before it gets near the query
+    if(typeof email!=="string" || !email.trim()){
+        throw new ApiError(400,"email is required")
+    }
+    const user=await User.findOne({email:email.trim()})
+    // same answer whether the account exists or not, so this endpoint can't be used to find registered emails
+    if(user){
+        const expiresInMinutes=Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES)||30
+        const token=await UserToken.issue(user._id,"password_reset",expiresInMinutes)
+        const mail=passwordResetMail({
+            fullName:user.fullName,
+            link:buildClientLink("/reset-password",token),
+            expiresInMinutes
+        })
+        try {
+            await sendMail({to:user.email,...mail})
+        } catch (error) {
+            // a failed send must look like any other answer, or it tells registered emails apart
+            console.error("Could not send password reset email",error)
+        }
+        await recordAuditEvent(req,{
+            action:"auth.password_reset_requested",
+            actor:null,
+            targetType:"User",
+            targetId:user._id
+        })
+    }
+    return res.status(200).
+    json(new ApiResponse(200,{},"If an account exists for this email, a reset link has been sent"))
+})
+
+const resetPassword=asyncHandler(async(req,res)=>{
+    const {token,newPassword}=req.body
+    if(!token || !newPassword?.trim()){
+        throw new ApiError(400,"token and new password are required")
+    }
+    // single use: the token is marked as used in the same query that looks it up
+    const resetToken=await UserToken.consume(token,"password_reset")
+    if(!resetToken){
+        throw new ApiError(400,"Reset token is invalid or has expired")
+    }
+    const user=await User.findById(resetToken.user)
+    if(!user){
+        throw new ApiError(404,"User does not exist")
+    }
+    user.password=newPassword
+    await user.save({validateBeforeSave:false})
+    // whoever knew the old password may still hold a refresh token, log every device out
+    await revokeSessions({user:user._id},"password_reset")
+    await recordAuditEvent(req,{
+        action:"auth.password_reset",
+        actor:user._id,
+        targetType:"User",
+        targetId:user._id
+    })
+
+    return res.status(200).
+    json(new ApiResponse(200,{},"Password reset successfully"))
+})
+
+const verifyEmail=asyncHandler(async(req,res)=>{
+    const {token}=req.body
+    if(!token){
+        throw new ApiError(400,"token is required")
+    }
+    const verificationToken=await UserToken.consume(token,"email_verification")
+    if(!verificationToken){
+        throw new ApiError(400,"Verification token is invalid or has expired")
+    }
+    // only verifies the address the link was sent to, not one the user switched to afterwards
+    const user=await User.findOneAndUpdate(
+        {
+            _id:verificationToken.user,
+            email:verificationToken.email
+        },
+        {
+            $set:{
+                emailVerified:true,
+                emailVerifiedAt:new Date()
+            }
+        },
+        {new:true}
+    ).select("-password")
+    if(!user){
+        throw new ApiError(400,"Verification token is invalid or has expired")
+    }
+    await recordAuditEvent(req,{
+        action:"user.email_verified",
+        actor:user._id,
+        targetType:"User",
+        targetId:user._id,
+        metadata:{email:user.email}
+    })
+    return res.status(200).
+    json(new ApiResponse(200,user,"Email verified successfully"))
+})
+
+const resendVerificationEmail=asyncHandler(async(req,res)=>{
+    if(req.user.emailVerified){
+        throw new ApiError(400,"Email is already verified")
+    }
+    await sendVerificationEmail(req.user)
+    return res.status(200).
+    json(new ApiResponse(200,{},"Verification email sent"))
+})
+
 const getCurrentUser=asyncHandler(async(req,res)=>{
     return res.status(200).
     json(new ApiResponse(200,req.user,"Current user fetched successfully"))
 })
 
 const updateAccountDetails=asyncHandler(async(req,res)=>{
-    const {fullName}=req.body
+    const {fullName,email}=req.body
     
-    if(!fullName){
-        throw new ApiError(400,"Full Name required for updation")
+    if(!fullName && !email){
+        throw new ApiError(400,"Full Name or email required for updation")
+    }
+    const updates={}
+    if(fullName){
+        updates.fullName=fullName
     }
-   const user= User.findByIdAndUpdate(req.user?._id,
+    const emailChanged=email && email.trim()!==req.user.email
+    if(emailChanged){
+        const emailTaken=await User.exists({email:email.trim(),_id:{$ne:req.user._id}})
+        if(emailTaken){
+            throw new ApiError(409,"Email is already in use")
+        }
+        // a new address has to be verified again
+        updates.email=email.trim()
+        updates.emailVerified=false
+        updates.emailVerifiedAt=null
+    }
+   const user=await User.findByIdAndUpdate(req.user?._id,
         {
-            $set:{
-                fullName:fullName
-                //fullName {this also can be given}
-            }
+            $set:updates
         },
         {new:true}
         
     ).select("-password")
 
+    await recordAuditEvent(req,{
+        action:"user.update",
+        targetType:"User",
+        targetId:user._id,
+        before:{fullName:req.user.fullName,email:req.user.email},
+        after:{fullName:user.fullName,email:user.email}
+    })
+
+    if(emailChanged){
+        await sendVerificationEmail(user)
+    }
+
     return res.status(200).
-            json(new ApiResponse(400,user,"User details updated successfully!"))
+            json(new ApiResponse(200,user,"User details updated successfully!"))
 
 })
 
+const updateUsername=asyncHandler(async(req,res)=>{
+    const username=req.body.username?.trim().toLowerCase()
+    if(!username){
+        throw new ApiError(400,"username is required")
+    }
+    if(username===req.user.username){
+        throw new ApiError(400,"This is already your username")
+    }
+    const formatError=validateUsernameFormat(username)
+    if(formatError){
+        throw new ApiError(400,formatError)
+    }
+
+    // rate limit: only a few renames per period, every rename is recorded in the history
+    const periodDays=Number(process.env.USERNAME_CHANGE_PERIOD_DAYS)||30
+    const maxChanges=Number(process.env.USERNAME_MAX_CHANGES_PER_PERIOD)||2
+    const recentChanges=await UsernameHistory.countDocuments({
+        user:req.user._id,
+        changedAt:{$gt:new Date(Date.now()-periodDays*24*60*60*1000)}
+    })
+    if(recentChanges>=maxChanges){
+        throw new ApiError(429,`You can change your username ${maxChanges} times every ${periodDays} days`)
+    }
+
+    if(!(await isUsernameAvailable(username,req.user._id))){
+        throw new ApiError(409,"Username is already taken")
+    }
+
+    const previousUsername=req.user.username
+    let user
+    try {
+        // matching on the old username too, so two parallel renames can't both succeed
+        user=await User.findOneAndUpdate(
+            {_id:req.user._id,username:previousUsername},
+            {$set:{username}},
+            {new:true}
+        ).select("-password")
+    } catch (error) {
+        // unique index: someone registered the handle in the meantime
+        throw new ApiError(409,"Username is already taken")
+    }
+    if(!user){
+        throw new ApiError(409,"Username was changed by another request, try again")
+    }
+
+    // keep the old handle: it still leads to this channel and is blocked for others for a while
+    const cooldownDays=Number(process.env.USERNAME_REUSE_COOLDOWN_DAYS)||90
+    await UsernameHistory.create({
+        user:user._id,
+        username:previousUsername,
+        reservedUntil:new Date(Date.now()+cooldownDays*24*60*60*1000)
+    })
+    await recordAuditEvent(req,{
+        action:"user.username_change",
+        targetType:"User",
+        targetId:user._id,
+        before:{username:previousUsername},
+        after:{username}
+    })
+
+    return res.status(200).
+    json(new ApiResponse(200,user,"Username updated successfully"))
+})
+
 const updateUserAvatar=asyncHandler(async(req,res)=>{
     const avatarLocalPath=req.file?.path
 
@@ -227,24 +592,32 @@ const updateUserAvatar=asyncHandler(async(req,res)=>{
         throw new ApiError(400,"Avatar file is required")
     }
 
-    const avatar=await uploadonCloudinary(avatarLocalPath)
+    const avatar=await uploadFile(avatarLocalPath,buildStorageKey("avatars",avatarLocalPath))
 
     if(!avatar.url){
         throw new ApiError("Error while uploading new avatar")
     }
 
-    User.findByIdAndUpdate(
+    const user=await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set:{
-                avatar:avatar.url
+                avatar:avatar.url,
+                avatarKey:avatar.key
             }
         },
         {new:true}
     ).select("-password")
+    await recordAuditEvent(req,{
+        action:"user.avatar_update",
+        targetType:"User",
+        targetId:user._id,
+        before:{avatar:req.user.avatar},
+        after:{avatar:user.avatar}
+    })
 
     return res.status(200).
-    json(new ApiResponse(400,"Avatar updated successfully!"))
+    json(new ApiResponse(200,user,"Avatar updated successfully!"))
 
 })
 
@@ -255,27 +628,33 @@ const updateUserCoverImage=asyncHandler(async(req,res)=>{
         throw new ApiError(400,"Avatar file is required")
     }
 
-    const coverImage=await uploadonCloudinary(coverImageLocalPath)
+    const coverImage=await uploadFile(coverImageLocalPath,buildStorageKey("covers",coverImageLocalPath))
 
     if(!coverImage.url){
         throw new ApiError("Error while uploading new coverImage")
     }
 
-   const user= User.findByIdAndUpdate(
+   const user=await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set:{
-                coverImage:coverImage.url
+                coverImage:coverImage.url,
+                coverImageKey:coverImage.key
             }
         },
         {new:true}
     ).select("-password")
+    await recordAuditEvent(req,{
+        action:"user.cover_image_update",
+        targetType:"User",
+        targetId:user._id,
+        before:{coverImage:req.user.coverImage},
+        after:{coverImage:user.coverImage}
+    })
 
-    if(user){
-        fs.unlinkSync(coverImageLocalPath)
-    }
+    // uploadFile already removed the local temp file
     return res.status(200).
-    json(new ApiResponse(400,user,"coverImage updated successfully!"))
+    json(new ApiResponse(200,user,"coverImage updated successfully!"))
 
 })
 
@@ -285,11 +664,12 @@ const getUserChannelProfile=asyncHandler(async(req,res)=>{
     if(!username?.trim()){
         throw new ApiError(400,"username is missing")
     }
+    const handle=username.trim().toLowerCase()
     const channel=await User.aggregate(
         [
             {
                 $match:{
-                    username:username?.toLowerCase()
+                    username:handle
                 }
             },
             {
@@ -297,7 +677,7 @@ const getUserChannelProfile=asyncHandler(async(req,res)=>{
                     from:"subscriptions",
                     localField:"_id",
                     foreignField:"channel",
-                    as:"channels"
+                    as:"subscribers"
                 }
             },
             {
@@ -328,79 +708,98 @@ const getUserChannelProfile=asyncHandler(async(req,res)=>{
                 $project:{
                     fullName:1,
                     username:1,
+                    avatar:1,
+                    coverImage:1,
                     subscribersCount:1,
-                    channelsSubscribedToCount:1
+                    channelsSubscribedToCount:1,
+                    isSubscribed:1
                 }
             }
         ]
     )
 
-    if(channel?.length){
+    if(!channel?.length){
+        // an old handle of someone who renamed themselves: send the client to the current one
+        // (temporary redirect, the old handle can be claimed by someone else after the cooldown)
+        const renamedUser=await findUserByPreviousHandle(handle)
+        if(renamedUser){
+            return res.redirect(302,`${req.baseUrl}/c/${encodeURIComponent(renamedUser.username)}`)
+        }
         throw new ApiError(404,"channel does not exists")
     }
 
     return res.status(200).
-    json(new ApiResponse(400,channel[0],"User channel  fetched successfully"))
+    json(new ApiResponse(200,channel[0],"User channel  fetched successfully"))
 })
 
 const getWatchHistory=asyncHandler(async(req,res)=>{
-    const user=await User.aggregate(
-        [
-            {
-                $match:new mongoose.Schema.Types.ObjectId(req.user?._id)
-            },
-            {
-                $lookup:{
-                    from:"videos",
-                    localField:"watchHistory",
-                    foreignField:"_id",
-                    as:"watchHistory",
-                    pipeline:[
-                        {
-                            $lookup:{
-                                from:"users",
-                                localField:"owner",
-                                foreignField:"_id",
-                                as:"owner",
-                                pipeline:[
-                                    {
-                                        $project:{
-                                            fullName:1,
-                                            username:1,
-                                            avatar:1
-                                    
-                                        }
-                                    },
-                                    {
-                                        $addFields:{
-                                            owner:{
-                                                $first:"$owner"
-                                            }
-                                        }
-                                    }
-                                ]
-                            }
-                        }
-                    ]
-                }
-            }
-        ]
+    // the history is an array of video ids on the user, most recent first, deduplicated and capped
+    const {watchHistory=[]}=await User.findById(req.user._id).select("watchHistory").lean()
+
+    // paged by the time each video was added (stored on its WatchProgress), so new views don't shift the pages
+    const page=await paginateQuery(
+        WatchProgress.find({user:req.user._id,video:{$in:watchHistory},historyAt:{$ne:null}})
+        .populate({
+            path:"video",
+            select:"title thumbnail duration views isPublished owner createdAt",
+            populate:{path:"owner",select:"fullName username avatar"}
+        }),
+        getPaginationParams(req.query,{historyAt:-1})
+    )
+
+    // deleted videos drop out, and so do videos their owner unpublished in the meantime
+    page.items=page.items
+    .filter((progress)=>progress.video && (progress.video.isPublished || progress.video.owner?._id.equals(req.user._id)))
+    .map((progress)=>({...progress.video.toObject(),...toResumeInfo(progress),watchedAt:progress.historyAt}))
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200,page,"watch history fetched successfully!"))
+})
+
+const getContinueWatching=asyncHandler(async(req,res)=>{
+    // videos the user started but didn't finish, most recently watched first
+    const page=await paginateQuery(
+        WatchProgress.find({user:req.user._id,completed:false,position:{$gt:0}})
+        .populate({
+            path:"video",
+            select:"title thumbnail duration views isPublished owner createdAt",
+            populate:{path:"owner",select:"fullName username avatar"}
+        }),
+        getPaginationParams(req.query,{lastWatchedAt:-1},{defaultLimit:10})
     )
+
+    // same rules as the history: deleted videos and videos unpublished in the meantime drop out
+    page.items=page.items
+    .filter((progress)=>progress.video && (progress.video.isPublished || progress.video.owner?._id.equals(req.user._id)))
+    .map((progress)=>({
+        ...progress.video.toObject(),
+        ...toResumeInfo(progress),
+        lastWatchedAt:progress.lastWatchedAt
+    }))
+
     return res
     .status(200)
-    .json(new ApiResponse(200,user[0].watchHistory,"watch history fetched successfully!"))
+    .json(new ApiResponse(200,page,"continue watching fetched successfully!"))
 })
 
 export {
     registerUser,
     loginUser,
+    loginWithTwoFactor,
     logOutUser,
     refreshAccessToken,
     changeCurrentPassword,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
     getCurrentUser,
     updateAccountDetails,
+    updateUsername,
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    getContinueWatching
 };
\ No newline at end of file
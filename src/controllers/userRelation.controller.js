@@ -0,0 +1,177 @@
+import { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationParams, paginateQuery } from "../utils/pagination.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+
+/*
+  Blocks and mutes work the same way, only the `type` differs,
+  so the handlers below are built from these three helpers.
+*/
+const addRelation = async (req, type) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  if (userId.toString() === req.user._id.toString()) {
+    throw new ApiError(400, `You cannot ${type} yourself`);
+  }
+
+  const target = await User.findById(userId).select("username fullName avatar");
+  if (!target) {
+    throw new ApiError(404, "User not found");
+  }
+
+  /*
+    Upsert instead of create:
+    - blocking someone twice is not an error, the second call simply changes nothing.
+  */
+  const relation = await UserRelation.findOneAndUpdate(
+    { user: req.user._id, target: userId, type },
+    { $setOnInsert: { user: req.user._id, target: userId, type } },
+    { upsert: true, new: true }
+  );
+
+  return { relation, target };
+};
+
+const removeRelation = async (req, type) => {
+  const { userId } = req.params;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  const relation = await UserRelation.findOneAndDelete({
+    user: req.user._id,
+    target: userId,
+    type,
+  });
+
+  if (!relation) {
+    throw new ApiError(404, `This user is not ${type}d`);
+  }
+
+  return relation;
+};
+
+const listRelations = async (req, type) => {
+  return await paginateQuery(
+    UserRelation.find({ user: req.user._id, type }).populate(
+      "target",
+      "username fullName avatar"
+    ),
+    getPaginationParams(req.query, { createdAt: -1 })
+  );
+};
+
+const blockUser = asyncHandler(async (req, res) => {
+  const { relation, target } = await addRelation(req, "block");
+
+  /*
+    A block also ends the subscriptions between the two users, in both directions:
+    - the blocked user shouldn't keep following the channel that blocked them,
+    - and a channel you blocked shouldn't keep showing up in your subscriptions.
+  */
+  await Subscription.deleteMany({
+    $or: [
+      { subscriber: target._id, channel: req.user._id },
+      { subscriber: req.user._id, channel: target._id },
+    ],
+  });
+
+  await recordAuditEvent(req, {
+    action: "user.block",
+    targetType: "User",
+    targetId: target._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...relation.toObject(), target },
+        "User blocked successfully"
+      )
+    );
+});
+
+const unblockUser = asyncHandler(async (req, res) => {
+  const relation = await removeRelation(req, "block");
+
+  await recordAuditEvent(req, {
+    action: "user.unblock",
+    targetType: "User",
+    targetId: relation.target,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, relation, "User unblocked successfully"));
+});
+
+const getBlockedUsers = asyncHandler(async (req, res) => {
+  const blocks = await listRelations(req, "block");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, blocks, "Blocked users fetched successfully"));
+});
+
+const muteUser = asyncHandler(async (req, res) => {
+  const { relation, target } = await addRelation(req, "mute");
+
+  await recordAuditEvent(req, {
+    action: "user.mute",
+    targetType: "User",
+    targetId: target._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...relation.toObject(), target },
+        "User muted successfully"
+      )
+    );
+});
+
+const unmuteUser = asyncHandler(async (req, res) => {
+  const relation = await removeRelation(req, "mute");
+
+  await recordAuditEvent(req, {
+    action: "user.unmute",
+    targetType: "User",
+    targetId: relation.target,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, relation, "User unmuted successfully"));
+});
+
+const getMutedUsers = asyncHandler(async (req, res) => {
+  const mutes = await listRelations(req, "mute");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, mutes, "Muted users fetched successfully"));
+});
+
+export {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers,
+};
@@ -1,134 +1,278 @@
+import path from "path";
 import mongoose, { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { uploadonCloudinary } from "../utils/cloudinary.js";
-import { getVideoDuration } from "../utils/ffmpeg.js";
+import {
+  buildStorageKey,
+  deleteStoredFile,
+  getSignedFileUrl,
+  getStorage,
+  uploadFile,
+} from "../utils/storage/storage.js";
+import { sendLocalFile } from "../utils/mediaStream.js";
+import {
+  getPublishCountdown,
+  parsePublishAt,
+} from "../utils/publishSchedule.js";
+import { deleteHlsPackage, getHlsFolder } from "../utils/hls.js";
+import {
+  deleteThumbnailCandidates,
+  deleteVideoThumbnail,
+  getThumbnailCandidates,
+} from "../utils/thumbnails.js";
+import { READY_VIDEO_FILTER, isVideoReady } from "../utils/videoProcessing.js";
+import {
+  submitVideoUpload,
+  VIDEO_PROCESSING_JOB,
+} from "../jobs/videoProcessing.job.js";
+import { Job } from "../models/job.model.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { hasPermission } from "../utils/permissions.js";
+import { recordVideoWatch } from "../utils/viewTracking.js";
+import { saveWatchProgress, toResumeInfo } from "../utils/watchProgress.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { getPaginationParams, paginateAggregate } from "../utils/pagination.js";
+import {
+  buildSearchHighlights,
+  buildVideoFilters,
+  escapeRegex,
+  getSearchTerms,
+  parseTags,
+  VIDEO_SORT_FIELDS,
+} from "../utils/videoSearch.js";
 
 const getAllVideos = asyncHandler(async (req, res) => {
   // Extracting query parameters from the request
   const {
-    page = 1, // Default page number is 1 if not provided
-    limit = 10, // Default limit per page is 10
     query = "", // Default query is an empty string
-    sortBy = "createdAt", // Default sorting field is "createdAt"
+    sortBy, // "relevance", "createdAt", "views", "duration" or "title"; defaults to "relevance" when searching and "createdAt" otherwise
     sortType = "desc", // Default sorting order is descending
     userId, // User ID (optional, to filter videos by a specific user)
-  } = req.query;
+    channel, // Channel username (optional, alternative to userId)
+    searchMode = "text", // "text" uses the full-text index, "regex" the old title-only substring match
+    durations, // Comma separated duration buckets: short, medium, long
+    uploadedAfter, // Upload date range (optional)
+    uploadedBefore,
+    isPublished, // "true"/"false", only honoured for your own channel (or for moderators)
+  } = req.query; // `limit` and `cursor` are read by getPaginationParams
+
+  if (sortBy && !VIDEO_SORT_FIELDS.includes(sortBy)) {
+    throw new ApiError(
+      400,
+      `sortBy must be one of: ${VIDEO_SORT_FIELDS.join(", ")}`
+    );
+  }
 
   // Checking if the user is logged in
   if (!req.user) {
     throw new ApiError(401, "User needs to be logged in");
   }
 
+  /*
+    Resolving the channel filter:
+    - `userId` is the channel's ID, `channel` its username.
+  */
+  let ownerId = null;
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      throw new ApiError(400, "Invalid user ID");
+    }
+    ownerId = new mongoose.Types.ObjectId(userId);
+  } else if (channel) {
+    const channelUser = await User.findOne({
+      username: channel.trim().toLowerCase(),
+    }).select("_id");
+    if (!channelUser) {
+      throw new ApiError(404, "Channel not found");
+    }
+    ownerId = channelUser._id;
+  }
+
+  /*
+    Unpublished videos:
+    - Everyone else only ever sees published videos.
+    - Owners browsing their own channel (and moderators) see everything, or filter with `isPublished`.
+  */
+  const canSeeUnpublished =
+    ownerId?.equals(req.user._id) ||
+    hasPermission(req.user.role, "video:moderate");
+  let publishedFilter = true;
+  if (canSeeUnpublished) {
+    publishedFilter =
+      isPublished === "true"
+        ? true
+        : isPublished === "false"
+          ? false
+          : undefined;
+  }
+
   // Constructing the match object to filter videos
-  const match = {
-    ...(query ? { title: { $regex: query, $options: "i" } } : {}), // If query exists, match titles that contain the search term (case-insensitive)
-    ...(userId ? { owner: mongoose.Types.ObjectId(userId) } : {}), // If userId exists, filter videos by that owner
+  const filters = {
+    ...(ownerId ? { owner: ownerId } : {}), // If a channel was given, filter videos by that owner
+    ...READY_VIDEO_FILTER, // Videos still being processed (or failed) can't be watched yet
+    ...buildVideoFilters({
+      durations,
+      uploadedAfter,
+      uploadedBefore,
+      isPublished: publishedFilter,
+    }),
   };
 
-  const videos = await Video.aggregate([
-    {
-      $match: match, // Filtering videos based on the match criteria
-    },
+  const searchQuery = query.trim();
+  const sortDirection = sortType === "desc" ? -1 : 1;
+
+  /*
+    Sort keys of the list:
+    - "relevance" sorts by the text search score (best match first), newest first on ties
+    - otherwise, if sortType is "desc", sort in descending order (-1), if "asc" ascending (1)
+    - `_id` is always added as the last key so the cursor of a page is unambiguous
+  */
+  const getSort = (textSearch) => {
+    const sortField = sortBy || (textSearch ? "relevance" : "createdAt");
+    if (sortField === "relevance") {
+      return textSearch ? { score: -1, createdAt: -1 } : { createdAt: -1 };
+    }
+    return { [sortField]: sortDirection };
+  };
 
-    {
-      /*
-        $lookup: Joins data from the "users" collection
-        - Fetches user details based on the "owner" field in the videos collection
-        - This allows us to include user information with each video
-      */
-      $lookup: {
-        from: "users", // Collection to join with
-        localField: "owner", // Matching "owner" field in the videos collection
-        foreignField: "_id", // Matching "_id" field in the users collection
-        as: "videosByOwner", // The resulting user data will be stored under "videosByOwner"
+  const fetchPage = (textSearch) => {
+    const filterStages = [
+      {
+        /*
+          $match: Filtering videos based on the match criteria
+          - $text uses the text index over title, description and tags (and has to be the first stage)
+          - the regex fallback only looks at the title, like search used to
+        */
+        $match: {
+          ...filters,
+          ...(searchQuery
+            ? textSearch
+              ? { $text: { $search: searchQuery } }
+              : { title: { $regex: escapeRegex(searchQuery), $options: "i" } }
+            : {}),
+        },
       },
-    },
 
-    {
-      /*
-        $project: Selecting only the necessary fields to return in the response
-
-      */
-      $project: {
-        videoFile: 1, // Video file link
-        thumbnail: 1, // Thumbnail image link
-        title: 1, // Video title
-        description: 1, // Video description
-        duration: 1, // Video duration
-        views: 1, // Number of views
-        isPublished: 1, // Whether the video is published or not
-        owner: {
-          $arrayElemAt: ["$videosByOwner", 0], // Extracts the first user object from the array
+      // How well each video matches the search, used for "relevance" sorting
+      ...(textSearch
+        ? [{ $addFields: { score: { $meta: "textScore" } } }]
+        : []),
+    ];
+
+    // Joining the owner only for the videos of the page, not for every match
+    const shapeStages = [
+      {
+        /*
+          $lookup: Joins data from the "users" collection
+          - Fetches user details based on the "owner" field in the videos collection
+          - This allows us to include user information with each video
+        */
+        $lookup: {
+          from: "users", // Collection to join with
+          localField: "owner", // Matching "owner" field in the videos collection
+          foreignField: "_id", // Matching "_id" field in the users collection
+          as: "videosByOwner", // The resulting user data will be stored under "videosByOwner"
+          pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
         },
       },
-    },
 
-    {
-      /*
-        $sort: Sorting videos based on the specified field
-        - If sortType is "desc", sort in descending order (-1)
-        - If sortType is "asc", sort in ascending order (1)
-      */
-      $sort: {
-        [sortBy]: sortType === "desc" ? -1 : 1,
+      {
+        /*
+          $project: Selecting only the necessary fields to return in the response
+
+        */
+        $project: {
+          videoFile: 1, // Video file link
+          hlsPlaylist: 1, // HLS master playlist link
+          thumbnail: 1, // Thumbnail image link
+          title: 1, // Video title
+          description: 1, // Video description
+          tags: 1, // Video tags
+          duration: 1, // Video duration
+          views: 1, // Number of views
+          isPublished: 1, // Whether the video is published or not
+          createdAt: 1, // Upload date
+          ...(textSearch ? { score: 1 } : {}), // Relevance score of the search
+          owner: {
+            $arrayElemAt: ["$videosByOwner", 0], // Extracts the first user object from the array
+          },
+        },
       },
-    },
+    ];
+
+    /*
+      Pagination:
+      - the cursor from the previous page picks up right after its last video,
+      - then the sort and limit are applied (see utils/pagination.js).
+    */
+    return paginateAggregate(
+      Video,
+      filterStages,
+      getPaginationParams(req.query, getSort(textSearch), { defaultLimit: 10 }),
+      shapeStages
+    );
+  };
 
-    {
-      /*
-        $skip: Skipping records for pagination
-        - Formula: (page number - 1) * limit
-        - If page = 2 and limit = 10, skips (2-1) * 10 = 10 records
-      */
-      $skip: (page - 1) * parseInt(limit),
-    },
+  const useTextSearch = Boolean(searchQuery) && searchMode !== "regex";
 
-    {
-      /*
-        $limit: Limits the number of results per page
-        - Ensures that the number of results does not exceed the "limit" value
-      */
-      $limit: parseInt(limit),
-    },
-  ]);
+  let page;
+  try {
+    page = await fetchPage(useTextSearch);
+  } catch (error) {
+    /*
+      $text needs the text index. While it doesn't exist yet (fresh database, index still building)
+      MongoDB answers with IndexNotFound (code 27), then we fall back to the regex search.
+    */
+    if (!useTextSearch || error?.code !== 27) {
+      throw error;
+    }
+    page = await fetchPage(false);
+  }
 
-  // If no videos are found, throw an error
-  if (!videos?.length) {
-    throw new ApiError(404, "Videos are not found");
+  // Search results get highlighted snippets of where the query matched
+  if (searchQuery) {
+    const searchTerms = getSearchTerms(searchQuery);
+    page.items = page.items.map((video) => ({
+      ...video,
+      highlights: buildSearchHighlights(video, searchTerms),
+    }));
   }
 
   // Sending the response with a success message
   return res
     .status(200)
-    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+    .json(new ApiResponse(200, page, "Videos fetched successfully"));
 
   /*
  Video Fetching Process Notes:
 
-  👉 Why do we use $regex for query search?
-     - $regex allows partial matching (e.g., searching "fun" will find "funny video").
-     - $options: "i" makes it case-insensitive (e.g., "FUN" and "fun" are treated the same).
+  👉 Why do we use a text index instead of $regex for search?
+     - $regex can't use an index for "contains" searches, so every video is scanned.
+     - The text index covers title, description and tags, understands word stems ("running" finds "run")
+       and gives every match a relevance score we can sort by.
+     - The regex search is still there (`searchMode=regex`) for substring matches inside words.
 
   👉 What is $lookup and why do we need it?
      - $lookup helps us fetch user details related to each video.
      - Without this, we'd have to make multiple queries to get the same info!
 
-  👉 Why do we use pagination ($skip and $limit)?
-     - Instead of loading ALL videos at once (which would be slow), we fetch them in chunks.
-     - $skip skips already displayed videos, and $limit ensures we only fetch a limited number.
+  👉 Why do we use cursor pagination instead of $skip?
+     - Instead of loading ALL videos at once (which would be slow), we fetch them in pages.
+     - $skip still has to walk over every skipped video, so deep pages get slower and slower,
+       and a video uploaded while someone is paging shifts everything by one (duplicates).
+     - A cursor remembers where the last page ended, so the next query starts right there.
 
   👉 What happens if there are no videos found?
-     - If the database has no videos matching the filters, we send a 404 error.
-     - This prevents sending an empty list without explanation.
+     - We send an empty `items` list with `hasMore: false`, an empty page is not an error.
 */
 });
 
 const publishAVideo = asyncHandler(async (req, res) => {
   // Extracting required fields from request body
-  const { title, description, owner } = req.body;
+  const { title, description, owner, tags, publishAt } = req.body;
 
   // Validate that the title is not empty
   if (!title) {
@@ -140,62 +284,58 @@ const publishAVideo = asyncHandler(async (req, res) => {
   }
 
   // Extract the video file path from the uploaded files
-  const videoFileLocalPath = req.files?.videoFile[0]?.path;
+  const videoFileLocalPath = req.files?.videoFile?.[0]?.path;
   if (!videoFileLocalPath) {
     throw new ApiError(400, "Video file is required");
   }
 
-  // Extract the thumbnail file path from the uploaded files
-  const thumbnailLocalPath = req.files?.thumbnail[0]?.path;
-  if (!thumbnailLocalPath) {
-    throw new ApiError(400, "Thumbnail is required");
-  }
-
-  try {
-    // Get the duration of the video file before uploading
-    const duration = await getVideoDuration(videoFileLocalPath);
-
-    // Upload the video file to Cloudinary and get the URL
-    const videoFile = await uploadOnCloudinary(videoFileLocalPath);
-    if (!videoFile) {
-      throw new ApiError(400, "Cloudinary Error: Video file is required");
-    }
+  // The thumbnail is optional, without one it is taken from the video itself
+  const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
 
-    // Upload the thumbnail image to Cloudinary and get the URL
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
-    if (!thumbnail) {
-      throw new ApiError(400, "Cloudinary Error: Thumbnail is required");
-    }
+  // Optionally schedule the video instead of publishing it as soon as it is processed
+  const scheduledFor =
+    publishAt !== undefined ? parsePublishAt(publishAt) : undefined;
 
-    // Store video details in the database
-    const videoDoc = await Video.create({
-      videoFile: videoFile.url, // Cloudinary URL of the video file
-      thumbnail: thumbnail.url, // Cloudinary URL of the thumbnail
+  /*
+    Store the video as "queued", the heavy lifting happens in the background:
+    - probing, HLS transcoding, thumbnails and uploading to the storage backend (see utils/videoProcessing.js).
+    - The client polls GET /videos/:videoId/status until it is "ready" (or "failed").
+  */
+  let videoDoc;
+  try {
+    videoDoc = await submitVideoUpload({
+      owner: req.user?._id, // ID of the user who uploaded the video
       title,
       description,
-      owner: req.user?._id, // ID of the user who uploaded the video
-      duration, // Duration of the video (in seconds)
+      tags: parseTags(tags), // Search tags, comma separated or an array
+      videoFilePath: videoFileLocalPath,
+      thumbnailPath: thumbnailLocalPath,
+      publishAt: scheduledFor,
     });
-
-    console.log(` Title: ${title}, Owner: ${owner}, duration: ${duration}`);
-
-    // If video creation fails, throw an error
-    if (!videoDoc) {
-      throw new ApiError(500, "Something went wrong while publishing a video");
-    }
-
-    // Send a success response with the video details
-    return res
-      .status(201)
-      .json(new ApiResponse(201, videoDoc, "Video published Successfully"));
   } catch (error) {
-    // Handle errors and send a 500 response if something goes wrong
-    throw new ApiError(500, error);
+    throw new ApiError(500, "Something went wrong while publishing a video");
   }
 
+  await recordAuditEvent(req, {
+    action: "video.create",
+    targetType: "Video",
+    targetId: videoDoc._id,
+    after: videoDoc,
+  });
+
+  // 202: the video exists, but it can't be watched until processing is done
+  const { sourceFile, sourceThumbnail, ...video } = videoDoc.toObject();
+  return res
+    .status(202)
+    .json(new ApiResponse(202, video, "Video uploaded, it is being processed"));
+
   /*
  Video Publishing Notes:
 
+👉 Why is the video processed in the background?
+   - Probing, transcoding and uploading a large file takes far longer than a request may take.
+   - The job is stored in MongoDB, so it survives restarts and is retried with backoff when it fails.
+
 👉 Why do we upload the video and thumbnail to Cloudinary?
    - Storing large video files on the server isn't scalable.
    - Cloudinary provides a CDN, making videos load faster.
@@ -203,6 +343,17 @@ const publishAVideo = asyncHandler(async (req, res) => {
 👉 Why store the duration in the database?
    - Duration helps in displaying video length without reprocessing the file.
    - It improves user experience and optimizes video streaming.
+
+👉 Why transcode into several renditions (HLS)?
+   - A 1080p original stalls on a slow phone connection.
+   - HLS cuts every rendition into short segments; the player starts low and switches
+     to a better rendition between segments as soon as the bandwidth allows it.
+   - The original file is kept for downloads and as a fallback for players without HLS support.
+
+👉 What if no thumbnail is uploaded?
+   - ffmpeg grabs frames at 10%, 30%, 50%, 70% and 90% of the video.
+   - The most detailed frame becomes the thumbnail, the others are kept as `thumbnailCandidates`
+     so the owner can switch with `updateVideo` later.
 */
 });
 
@@ -225,14 +376,27 @@ const getVideoById = asyncHandler(async (req, res) => {
   const video = await Video.findById(videoId).populate("owner", "name email");
 
   // If the video does not exist, return a 404 error.
-  if (!video) {
+  // Until it is processed or published (e.g. while it is scheduled) only its owner can see it.
+  if (!canAccessVideo(video, req.user, { includeUnprocessed: true })) {
     throw new ApiError(404, "Video not found");
   }
 
+  // Where the viewer left off last time, so the player can resume there
+  const progress = await WatchProgress.findOne({
+    user: req.user._id,
+    video: video._id,
+  }).lean();
+
   // Send a success response with the video details.
   return res
     .status(200)
-    .json(new ApiResponse(200, video, "Video fetched successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { ...video.toObject(), ...toResumeInfo(progress) },
+        "Video fetched successfully"
+      )
+    );
 
   /*
  Video Retrieval Notes:
@@ -244,12 +408,211 @@ const getVideoById = asyncHandler(async (req, res) => {
 */
 });
 
+// How long the redirect to a video on Cloudinary or S3 stays valid, players re-request the stream after that
+const STREAM_URL_EXPIRY_SECONDS = 6 * 60 * 60;
+
+/*
+  Who may see a video: unpublished videos only their owner, nothing before processing finished.
+  - `includeUnprocessed` lets the owner see the video while it is still processing (its details, not the stream).
+  - `owner` may be populated or a plain id.
+*/
+const canAccessVideo = (video, user, { includeUnprocessed = false } = {}) => {
+  if (!video) return false;
+
+  const isOwner =
+    (video.owner?._id ?? video.owner)?.toString() === user._id.toString();
+  if (!isVideoReady(video)) {
+    return includeUnprocessed && isOwner;
+  }
+  return video.isPublished || isOwner;
+};
+
+// Loads the video of `:videoId` with `fields` for watching it, a 404 for anyone who may not
+const findPlayableVideo = async (req, fields) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  const video = await Video.findById(videoId).select(
+    `owner isPublished processingStatus ${fields}`
+  );
+
+  if (!canAccessVideo(video, req.user)) {
+    throw new ApiError(404, "Video not found");
+  }
+  return video;
+};
+
+const streamVideo = asyncHandler(async (req, res) => {
+  const video = await findPlayableVideo(req, "videoFile videoFileKey");
+
+  /*
+    Where the file is decides how it is streamed:
+    - local storage: served from disk here, with Range/ETag support (utils/mediaStream.js).
+    - Cloudinary and S3 handle ranges themselves, the player is redirected to a (signed) URL.
+    - Videos uploaded before storage keys existed only have their Cloudinary URL.
+  */
+  if (!video.videoFileKey) {
+    return res.redirect(302, video.videoFile);
+  }
+  if (getStorage().name !== "local") {
+    return res.redirect(
+      302,
+      await getSignedFileUrl(video.videoFileKey, {
+        expiresInSeconds: STREAM_URL_EXPIRY_SECONDS,
+      })
+    );
+  }
+
+  await sendLocalFile(req, res, video.videoFileKey);
+});
+
+/*
+  HLS playlists and segments of the local storage backend (see utils/hls.js):
+  - /media doesn't serve them, so the stream's access rules apply to every file of the package.
+  - The requested path is resolved inside the video's HLS folder, anything outside of it is a 404.
+  - Other backends serve HLS themselves, a request here is redirected to a signed URL of the file.
+*/
+const streamHlsFile = asyncHandler(async (req, res) => {
+  const video = await findPlayableVideo(req, "hlsPlaylistKey");
+  if (!video.hlsPlaylistKey) {
+    throw new ApiError(404, "Video has no HLS stream");
+  }
+
+  const folder = getHlsFolder(video.hlsPlaylistKey);
+  const key = path.posix.normalize(`${folder}/${req.params[0]}`);
+  if (!key.startsWith(`${folder}/`)) {
+    throw new ApiError(404, "File not found");
+  }
+
+  if (getStorage().name !== "local") {
+    return res.redirect(
+      302,
+      await getSignedFileUrl(key, {
+        expiresInSeconds: STREAM_URL_EXPIRY_SECONDS,
+      })
+    );
+  }
+  await sendLocalFile(req, res, key);
+});
+
+const recordVideoView = asyncHandler(async (req, res) => {
+  // Unpublished videos can only be watched by their owner, and nobody watches a video that isn't processed yet
+  const video = await findPlayableVideo(req, "duration");
+
+  /*
+    Count the view (see utils/viewTracking.js):
+    - only once the viewer watched past the threshold,
+    - once per viewer per dedup window, never for the owner,
+    - the video is also moved to the front of the viewer's watch history.
+    The watch time is the one measured from the progress heartbeats, a `watchedSeconds`
+    sent by the client is not trusted (the heartbeat evaluates the view by itself as well).
+  */
+  const progress = await WatchProgress.findOne({
+    user: req.user._id,
+    video: video._id,
+  }).select("watchedSeconds");
+  const result = await recordVideoWatch(
+    video,
+    req.user._id,
+    progress?.watchedSeconds || 0
+  );
+
+  const { views } = await Video.findById(video._id).select("views");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...result, views },
+        result.counted ? "View counted" : "View not counted"
+      )
+    );
+});
+
+const updateWatchProgress = asyncHandler(async (req, res) => {
+  // Extract the current playback position (in seconds)
+  const position = Number(req.body.position);
+
+  if (!Number.isFinite(position) || position < 0) {
+    throw new ApiError(400, "position must be a positive number");
+  }
+
+  const video = await findPlayableVideo(req, "duration");
+
+  const progress = await saveWatchProgress(video, req.user._id, position);
+
+  // The heartbeats measure the watch time, so every heartbeat also checks whether a view is due
+  const view = await recordVideoWatch(
+    video,
+    req.user._id,
+    progress.watchedSeconds
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        video: video._id,
+        position: progress.position,
+        completed: progress.completed,
+        lastWatchedAt: progress.lastWatchedAt,
+        ...toResumeInfo(progress),
+        view,
+      },
+      "Watch progress saved"
+    )
+  );
+
+  /*
+ Watch Progress Notes:
+
+👉 Why not write the position into the watch history?
+   - The heartbeat arrives every few seconds, one small upsert per user and video stays cheap.
+   - The history only changes order when a view is recorded, not on every heartbeat.
+*/
+});
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+  // The video was loaded (and its ownership checked) by videoOwnership
+  const video = req.resource;
+
+  // The job tells how often processing was tried and when the next attempt is due
+  const job = await Job.findOne({
+    type: VIDEO_PROCESSING_JOB,
+    "payload.videoId": video._id,
+  }).sort({ createdAt: -1 });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        videoId: video._id,
+        processingStatus: video.processingStatus,
+        processingError: video.processingError || null,
+        attempts: job?.attempts || 0,
+        maxAttempts: job?.maxAttempts || 0,
+        nextAttemptAt:
+          video.processingStatus === "queued" && job?.status === "queued"
+            ? job.runAt
+            : null,
+        hlsPlaylist: video.hlsPlaylist || null,
+        thumbnail: video.thumbnail || null,
+      },
+      "Processing status fetched successfully"
+    )
+  );
+});
+
 const updateVideo = asyncHandler(async (req, res) => {
   // Extract videoId from request parameters
   const { videoId } = req.params;
 
   // Extract title and description from request body
-  const { title, description } = req.body;
+  const { title, description, tags, thumbnailCandidate } = req.body;
 
   // Validate if the provided videoId is a valid MongoDB ObjectId
   if (!isValidObjectId(videoId)) {
@@ -259,12 +622,17 @@ const updateVideo = asyncHandler(async (req, res) => {
   // Create an object to hold updateData for updating title, description and thumbnail(thumbnail will be appended later)
   let updateData = { title, description };
 
+  // Tags are replaced as a whole when given (an empty string clears them)
+  if (tags !== undefined) {
+    updateData.tags = parseTags(tags);
+  }
+
   /*
     If a new thumbnail is uploaded:
     - Extract the file path from request.
     - Ensure the file path is valid.
-    - Upload the file to Cloudinary.
-    - If the upload is successful, update the thumbnail URL.
+    - Upload the file to the storage backend.
+    - If the upload is successful, update the thumbnail URL and its storage key.
   */
   if (req.file) {
     const thumbnailLocalPath = req.file.path;
@@ -273,15 +641,31 @@ const updateVideo = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Thumbnail file is missing");
     }
 
-    // Upload the thumbnail to Cloudinary
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    // Upload the thumbnail to the storage backend
+    const thumbnail = await uploadFile(
+      thumbnailLocalPath,
+      buildStorageKey(`thumbnails/${videoId}`, thumbnailLocalPath)
+    );
 
-    if (!thumbnail.url) {
+    if (!thumbnail?.url) {
       throw new ApiError(400, "Error while uploading thumbnail");
     }
 
     // Add the new thumbnail URL to the updateData
     updateData.thumbnail = thumbnail.url;
+    updateData.thumbnailKey = thumbnail.key;
+  } else if (thumbnailCandidate !== undefined) {
+    /*
+      Or pick one of the generated frames:
+    - `thumbnailCandidate` is its index in `thumbnailCandidates` (the video was loaded by videoOwnership).
+    */
+    const candidates = getThumbnailCandidates(req.resource);
+    const index = Number(thumbnailCandidate);
+    if (!Number.isInteger(index) || !candidates[index]) {
+      throw new ApiError(400, "Invalid thumbnail candidate");
+    }
+    updateData.thumbnail = candidates[index].url;
+    updateData.thumbnailKey = candidates[index].key || null;
   }
 
   /*
@@ -303,6 +687,21 @@ const updateVideo = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Video not found");
   }
 
+  // The replaced thumbnail is no longer referenced, the update went through either way so a failure is only logged
+  if (updateData.thumbnail && updateData.thumbnail !== req.resource.thumbnail) {
+    await deleteVideoThumbnail(req.resource).catch((error) =>
+      console.error("Failed to delete old thumbnail of video", videoId, error)
+    );
+  }
+
+  await recordAuditEvent(req, {
+    action: "video.update",
+    targetType: "Video",
+    targetId: updatedVideo._id,
+    before: req.resource,
+    after: updatedVideo,
+  });
+
   // Send a success response with the updated video details.
   return res
     .status(200)
@@ -320,7 +719,7 @@ const updateVideo = asyncHandler(async (req, res) => {
    - Not all updates require a new thumbnail, so we update it only if a new file is provided.
    - This prevents unnecessary file uploads and saves storage space.
 
-👉 What happens if Cloudinary upload fails?
+👉 What happens if the thumbnail upload fails?
    - The function throws an error before making any database changes, ensuring data integrity.
    - This prevents storing an invalid or missing thumbnail URL in the database.
 
@@ -352,6 +751,37 @@ const deleteVideo = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Video not found");
   }
 
+  // Remove the stored files, the video is gone either way so a failure is only logged
+  await deleteStoredFile({
+    key: deletedVideo.videoFileKey,
+    url: deletedVideo.videoFile,
+  }).catch((error) =>
+    console.error("Failed to delete video file of video", videoId, error)
+  );
+  await deleteVideoThumbnail(deletedVideo).catch((error) =>
+    console.error("Failed to delete thumbnail of video", videoId, error)
+  );
+  if (deletedVideo.hlsPlaylistKey) {
+    await deleteHlsPackage(deletedVideo.hlsPlaylistKey).catch((error) =>
+      console.error("Failed to delete HLS files of video", videoId, error)
+    );
+  }
+  await deleteThumbnailCandidates(getThumbnailCandidates(deletedVideo)).catch(
+    (error) =>
+      console.error(
+        "Failed to delete thumbnail candidates of video",
+        videoId,
+        error
+      )
+  );
+
+  await recordAuditEvent(req, {
+    action: "video.delete",
+    targetType: "Video",
+    targetId: deletedVideo._id,
+    before: deletedVideo,
+  });
+
   // Send a success response with the deleted video details.
   return res
     .status(200)
@@ -409,9 +839,21 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
   */
   video.isPublished = !video.isPublished;
 
+  // Publishing or unpublishing by hand replaces a pending schedule
+  const { publishAt } = video;
+  video.publishAt = undefined;
+
   // Save the updated video status in the database.
   await video.save();
 
+  await recordAuditEvent(req, {
+    action: video.isPublished ? "video.publish" : "video.unpublish",
+    targetType: "Video",
+    targetId: video._id,
+    before: { isPublished: !video.isPublished, publishAt },
+    after: { isPublished: video.isPublished },
+  });
+
   /*
     Send a success response with the updated video details.
     - `video` contains the updated publish status.
@@ -451,11 +893,84 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
  */
 });
 
+/*
+  Schedules a video to go live at `publishAt`, or moves an existing schedule.
+  - The video is unpublished until then, jobs/scheduledPublish.job.js publishes it when it is due.
+  - Works on published videos too: they are hidden again until the new date.
+*/
+const scheduleVideo = asyncHandler(async (req, res) => {
+  const publishAt = parsePublishAt(req.body.publishAt);
+
+  // req.resource was loaded by videoOwnership
+  const video = await Video.findByIdAndUpdate(
+    req.resource._id,
+    { $set: { isPublished: false, publishAt } },
+    { new: true }
+  );
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  await recordAuditEvent(req, {
+    action: req.resource.publishAt ? "video.reschedule" : "video.schedule",
+    targetType: "Video",
+    targetId: video._id,
+    before: {
+      isPublished: req.resource.isPublished,
+      publishAt: req.resource.publishAt,
+    },
+    after: { isPublished: video.isPublished, publishAt: video.publishAt },
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...video.toObject(),
+        publishInSeconds: getPublishCountdown(video),
+      },
+      "Video scheduled successfully"
+    )
+  );
+});
+
+// Cancels a schedule, the video stays unpublished until its owner publishes it
+const cancelVideoSchedule = asyncHandler(async (req, res) => {
+  // only a schedule that is still pending, the job may have published the video a moment ago
+  const video = await Video.findOneAndUpdate(
+    { _id: req.resource._id, publishAt: { $ne: null } },
+    { $unset: { publishAt: 1 } },
+    { new: true }
+  );
+  if (!video) {
+    throw new ApiError(409, "Video is not scheduled");
+  }
+
+  await recordAuditEvent(req, {
+    action: "video.unschedule",
+    targetType: "Video",
+    targetId: video._id,
+    before: { publishAt: req.resource.publishAt },
+    after: { isPublished: video.isPublished },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, video, "Video schedule cancelled"));
+});
+
 export {
   getAllVideos,
   publishAVideo,
   getVideoById,
+  getVideoProcessingStatus,
+  streamVideo,
+  streamHlsFile,
+  recordVideoView,
+  updateWatchProgress,
   updateVideo,
   deleteVideo,
   togglePublishStatus,
+  scheduleVideo,
+  cancelVideoSchedule,
 };
@@ -1,6 +1,12 @@
 import dotenv from "dotenv";
 import connectDB from "./db/db.js";
 import { app } from "./app.js";
+import { startAccountPurgeJob } from "./jobs/accountPurge.job.js";
+import { startDataExportJobs } from "./jobs/dataExport.job.js";
+import { registerVideoProcessingJob } from "./jobs/videoProcessing.job.js";
+import { startUploadSessionCleanupJob } from "./jobs/uploadSession.job.js";
+import { startScheduledPublishJob } from "./jobs/scheduledPublish.job.js";
+import { startJobWorker } from "./utils/jobQueue.js";
 
 dotenv.config({
     path:'./env'
@@ -11,6 +17,12 @@ connectDB().then(()=>{
     app.listen(process.env.PORT || 8000,()=>{
         console.log(`⚙️      Server running on port : ${process.env.PORT}`);
     })
+    startAccountPurgeJob()
+    startDataExportJobs()
+    registerVideoProcessingJob()
+    startJobWorker()
+    startUploadSessionCleanupJob()
+    startScheduledPublishJob()
 }).catch((err)=>{
     console.error("MONGO db connection failed!!!",err);
 })
\ No newline at end of file
@@ -0,0 +1,63 @@
+import { User } from "../models/user.model.js";
+import { purgeUserAccount } from "../utils/accountDeletion.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+
+// A purge that has been "started" for longer than this is assumed to have crashed and is picked up again
+const STALE_PURGE_MS = 60 * 60 * 1000;
+
+/*
+  Claims the next account whose grace period is over.
+  - The claim is a single findOneAndUpdate, so two server instances never purge the same account.
+*/
+const claimNextAccount = async () => {
+  return await User.findOneAndUpdate(
+    {
+      deletionScheduledFor: { $ne: null, $lte: new Date() },
+      $or: [
+        { purgeStartedAt: null },
+        { purgeStartedAt: { $lt: new Date(Date.now() - STALE_PURGE_MS) } },
+      ],
+    },
+    { $set: { purgeStartedAt: new Date() } },
+    { new: true }
+  ).select("_id");
+};
+
+export const purgeDueAccounts = async () => {
+  let purgedCount = 0;
+  let user;
+
+  while ((user = await claimNextAccount())) {
+    try {
+      await purgeUserAccount(user._id);
+      purgedCount++;
+      // audit entries outlive the account, they are the only record that it existed
+      await recordAuditEvent(null, {
+        action: "user.purge",
+        actor: null,
+        targetType: "User",
+        targetId: user._id,
+      });
+    } catch (error) {
+      // leave the claim in place, the account is retried once the claim goes stale
+      console.error(`Purging account ${user._id} failed`, error);
+    }
+  }
+  return purgedCount;
+};
+
+export const startAccountPurgeJob = () => {
+  const intervalMinutes =
+    Number(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60;
+
+  const run = async () => {
+    try {
+      await purgeDueAccounts();
+    } catch (error) {
+      console.error("Account purge job failed", error);
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+};
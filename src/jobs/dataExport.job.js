@@ -0,0 +1,132 @@
+import fs from "fs";
+import path from "path";
+import { DataExport } from "../models/dataExport.model.js";
+import {
+  getDataExportDirectory,
+  writeDataExportArchive,
+} from "../utils/dataExport.js";
+import { startLockHeartbeat } from "../utils/lockHeartbeat.js";
+
+// While an archive is written its lock is refreshed every minute, one that wasn't for 10 minutes is dead
+const LOCK_HEARTBEAT_MS = 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/*
+  Builds one export in the background, the request that asked for it has already returned 202.
+  - The export moves queued -> processing -> ready (or failed), the client polls its status.
+  - The final update only happens while this writer still holds the lock.
+*/
+export const runDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "queued" },
+    { $set: { status: "processing", lockedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  const heartbeat = startLockHeartbeat(
+    DataExport,
+    dataExport,
+    LOCK_HEARTBEAT_MS
+  );
+
+  const filePath = path.resolve(
+    getDataExportDirectory(),
+    `${dataExport._id}.zip`
+  );
+
+  try {
+    const fileSize = await writeDataExportArchive(dataExport.user, filePath);
+    const linkHours = Number(process.env.DATA_EXPORT_LINK_EXPIRY_HOURS) || 24;
+
+    await DataExport.updateOne(
+      { _id: dataExport._id, lockedAt: await heartbeat.stop() },
+      {
+        $set: {
+          status: "ready",
+          filePath,
+          fileSize,
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + linkHours * 60 * 60 * 1000),
+        },
+        $unset: { lockedAt: 1 },
+      }
+    );
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed`, error);
+    const result = await DataExport.updateOne(
+      { _id: dataExport._id, lockedAt: await heartbeat.stop() },
+      {
+        $set: { status: "failed", error: error.message },
+        $unset: { lockedAt: 1 },
+      }
+    );
+    // a writer that lost its lock leaves the file to the one that took over
+    if (result.matchedCount) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+};
+
+// Fire and forget: errors are recorded on the export document, never thrown at the caller
+export const enqueueDataExport = (exportId) => {
+  setImmediate(() => {
+    runDataExport(exportId).catch((error) =>
+      console.error(`Data export ${exportId} failed`, error)
+    );
+  });
+};
+
+// Removes the zip files of exports whose download link has expired
+export const cleanupExpiredDataExports = async () => {
+  const expiredExports = await DataExport.find({
+    status: "ready",
+    expiresAt: { $lte: new Date() },
+  }).select("+filePath");
+
+  for (const dataExport of expiredExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    dataExport.status = "expired";
+    dataExport.filePath = undefined;
+    await dataExport.save();
+  }
+  return expiredExports.length;
+};
+
+/*
+  Exports that were queued or half built when the server stopped would otherwise wait forever.
+  - "processing" exports whose lock heartbeat stopped are assumed dead and queued again,
+    an export that is still being written keeps its lock fresh and is left alone.
+*/
+export const resumePendingDataExports = async () => {
+  const staleBefore = new Date(Date.now() - STALE_LOCK_MS);
+  await DataExport.updateMany(
+    {
+      status: "processing",
+      $or: [
+        { lockedAt: { $lt: staleBefore } },
+        // started before exports had a lock
+        { lockedAt: null, updatedAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { status: "queued" }, $unset: { lockedAt: 1 } }
+  );
+
+  const pendingExportIds = await DataExport.find({ status: "queued" }).distinct(
+    "_id"
+  );
+  pendingExportIds.forEach(enqueueDataExport);
+};
+
+export const startDataExportJobs = () => {
+  const run = () =>
+    Promise.all([
+      resumePendingDataExports(),
+      cleanupExpiredDataExports(),
+    ]).catch((error) => console.error("Data export job failed", error));
+
+  run();
+  return setInterval(run, 60 * 60 * 1000);
+};
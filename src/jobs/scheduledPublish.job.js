@@ -0,0 +1,52 @@
+import { Video } from "../models/video.model.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+
+/*
+  Publishes every video whose `publishAt` has passed.
+  - Each video is claimed with a conditional update, so two server instances never publish
+    the same video twice, and a schedule changed or cancelled in the meantime is respected.
+  - A video that is still being processed is published all the same, it shows up once it is ready.
+*/
+export const publishDueVideos = async () => {
+  const dueVideos = await Video.find({
+    publishAt: { $ne: null, $lte: new Date() },
+  }).select("_id publishAt");
+
+  let publishedCount = 0;
+  for (const { _id, publishAt } of dueVideos) {
+    const video = await Video.findOneAndUpdate(
+      { _id, publishAt },
+      { $set: { isPublished: true }, $unset: { publishAt: 1 } },
+      { new: true }
+    );
+    if (!video) continue;
+
+    publishedCount++;
+    await recordAuditEvent(null, {
+      action: "video.publish",
+      actor: null,
+      targetType: "Video",
+      targetId: video._id,
+      before: { isPublished: false, publishAt },
+      after: { isPublished: true },
+      metadata: { scheduled: true },
+    });
+  }
+  return publishedCount;
+};
+
+export const startScheduledPublishJob = () => {
+  const intervalSeconds =
+    Number(process.env.SCHEDULED_PUBLISH_INTERVAL_SECONDS) || 60;
+
+  const run = async () => {
+    try {
+      await publishDueVideos();
+    } catch (error) {
+      console.error("Scheduled publish job failed", error);
+    }
+  };
+
+  run();
+  return setInterval(run, intervalSeconds * 1000);
+};
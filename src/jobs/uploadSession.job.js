@@ -0,0 +1,49 @@
+import { UploadSession } from "../models/uploadSession.model.js";
+import {
+  removeUploadFile,
+  UPLOAD_LOCK_TIMEOUT_MS,
+} from "../utils/resumableUpload.js";
+
+/*
+  Removes upload sessions nobody sent a chunk to for UPLOAD_SESSION_EXPIRY_HOURS, and their partial files.
+  - Finalized sessions are dropped too once they expire, their file already belongs to a video.
+  - A session that is receiving a chunk right now is left alone until the next run.
+*/
+export const cleanupExpiredUploadSessions = async () => {
+  const expiredSessions = await UploadSession.find({
+    expiresAt: { $lte: new Date() },
+    $or: [
+      { lockedAt: null },
+      { lockedAt: { $lt: new Date(Date.now() - UPLOAD_LOCK_TIMEOUT_MS) } },
+    ],
+  });
+
+  let removedCount = 0;
+  for (const session of expiredSessions) {
+    // a chunk that started since the query took the lock, that session stays
+    const result = await UploadSession.deleteOne({
+      _id: session._id,
+      lockedAt: session.lockedAt ?? null,
+    });
+    if (!result.deletedCount) continue;
+
+    if (session.status === "active") {
+      await removeUploadFile(session);
+    }
+    removedCount += 1;
+  }
+  return removedCount;
+};
+
+export const startUploadSessionCleanupJob = () => {
+  const run = async () => {
+    try {
+      await cleanupExpiredUploadSessions();
+    } catch (error) {
+      console.error("Upload cleanup job failed", error);
+    }
+  };
+
+  run();
+  return setInterval(run, 60 * 60 * 1000);
+};
@@ -0,0 +1,94 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { enqueueJob, registerJobHandler } from "../utils/jobQueue.js";
+import {
+  getStagedFilePath,
+  markVideoProcessingFailed,
+  processUploadedVideo,
+  removeStagedUpload,
+  stageVideoUpload,
+} from "../utils/videoProcessing.js";
+
+export const VIDEO_PROCESSING_JOB = "video.process";
+
+/*
+  Processing of uploaded videos, see utils/videoProcessing.js.
+  - The upload request only stages the files and returns 202, the video moves
+    queued -> processing -> ready (or failed) here and the client polls its status.
+*/
+export const registerVideoProcessingJob = () => {
+  registerJobHandler(
+    VIDEO_PROCESSING_JOB,
+    ({ videoId }) => processUploadedVideo(videoId),
+    {
+      onFailure: ({ videoId }, reason) =>
+        markVideoProcessingFailed(videoId, reason),
+    }
+  );
+};
+
+export const enqueueVideoProcessing = async (videoId) => {
+  const maxAttempts = Number(process.env.VIDEO_PROCESSING_MAX_ATTEMPTS) || 3;
+  return await enqueueJob(VIDEO_PROCESSING_JOB, { videoId }, { maxAttempts });
+};
+
+/*
+  Stores a new video as "queued" and hands its files to the processing job.
+  - `videoFilePath` and `thumbnailPath` (optional) are local files, they are moved into the staging folder.
+  - `publishAt` (optional) schedules the video instead of publishing it right away.
+  - Used by the regular upload and by finalized resumable uploads.
+  - On failure the staged files are removed; with `restoreVideoFile` the video file is moved back
+    to `videoFilePath` first, so a resumable upload can be finalized again.
+*/
+export const submitVideoUpload = async ({
+  owner,
+  title,
+  description,
+  tags,
+  videoFilePath,
+  thumbnailPath,
+  publishAt,
+  restoreVideoFile = false,
+}) => {
+  // The id is needed before the document exists, the staged files are stored under it
+  const videoId = new mongoose.Types.ObjectId();
+
+  try {
+    const staged = await stageVideoUpload(
+      videoId,
+      videoFilePath,
+      thumbnailPath
+    );
+    const video = await Video.create({
+      _id: videoId,
+      title,
+      description,
+      tags,
+      owner,
+      // a scheduled upload stays hidden until publishAt, even once it is processed
+      isPublished: !publishAt,
+      publishAt,
+      processingStatus: "queued",
+      sourceFile: staged.videoFile, // Local path of the upload until it is processed
+      sourceThumbnail: staged.thumbnail, // Uploaded thumbnail, if any
+    });
+
+    await enqueueVideoProcessing(video._id);
+    return video;
+  } catch (error) {
+    // Nothing will ever process these files
+    await Video.deleteOne({ _id: videoId });
+    if (restoreVideoFile) {
+      // not there when staging failed before moving it, then it never left
+      await fs.promises
+        .rename(
+          getStagedFilePath(videoId, videoFilePath, "source"),
+          videoFilePath
+        )
+        .catch(() => null);
+    }
+    await removeStagedUpload(videoId);
+    throw error;
+  }
+};
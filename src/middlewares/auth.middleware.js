@@ -2,24 +2,100 @@ import {ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js";
+import { hashToken } from "../utils/crypto.js";
+import { PERSONAL_ACCESS_TOKEN_PREFIX } from "../consonants.js";
+
+// `Authorization: Bearer pat_...` from scripts; the token's scopes are checked per route with requireScope
+const authenticatePersonalAccessToken=async(req,token)=>{
+    const personalAccessToken=await PersonalAccessToken.findOne({tokenHash:hashToken(token)})
+
+    if(!personalAccessToken || !personalAccessToken.isActive()){
+        throw new ApiError(401,"Invalid or expired access token")
+    }
+
+    const user=await User.findById(personalAccessToken.user).select("-password")
+
+    if(!user){
+        throw new ApiError(401,"Invalid Access Token")
+    }
+
+    await PersonalAccessToken.updateOne(
+        {_id:personalAccessToken._id},
+        {$set:{lastUsedAt:new Date()}}
+    )
+    req.user=user;
+    req.authType="token"
+    req.tokenScopes=personalAccessToken.scopes
+    req.tokenId=personalAccessToken._id
+}
+
 export const verifyJWT=asyncHandler(async(req,res,next)=>{
     try {
         const token=req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ","")
         if(!token){
             throw new ApiError(401,"Unauthorized request")
         }
+
+        if(token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)){
+            await authenticatePersonalAccessToken(req,token)
+            return next()
+        }
     
         const decodedinfo= jwt.verify(token,process.env.ACCESS_TOKEN_SECRET)
     
-        const user=await User.findById(decodedinfo?._id).select("-password -refreshToken")
+        const user=await User.findById(decodedinfo?._id).select("-password")
     
         if(!user){
             throw new ApiError(401,"Invalid Access Token")
         }
+
+        // access tokens die together with their session (logout, revoke, refresh token reuse)
+        const sessionIsActive=await Session.exists({
+            _id:decodedinfo.sid,
+            user:user._id,
+            revokedAt:null,
+            expiresAt:{$gt:new Date()}
+        })
+        if(!sessionIsActive){
+            throw new ApiError(401,"Session has been revoked")
+        }
         req.user=user;
+        req.authType="session"
+        req.sessionId=decodedinfo?.sid
         next()
     } catch (error) {
         throw new ApiError(401,error?.message||"Invalid access token ")
     }
 })
 
+// use after verifyJWT on routes that need a confirmed email address (publishing, commenting, tweeting)
+export const requireVerifiedEmail=(req,res,next)=>{
+    if(!req.user?.emailVerified){
+        return next(new ApiError(403,"Please verify your email address first"))
+    }
+    next()
+}
+
+// use after verifyJWT: personal access tokens must carry every listed scope, logged in sessions have full access
+export const requireScope=(...scopes)=>{
+    return (req,res,next)=>{
+        if(req.authType!=="token"){
+            return next()
+        }
+        const missingScopes=scopes.filter((scope)=>!req.tokenScopes?.includes(scope))
+        if(missingScopes.length){
+            return next(new ApiError(403,`Access token is missing the scope(s): ${missingScopes.join(", ")}`))
+        }
+        next()
+    }
+}
+
+// use after verifyJWT on account management routes (password, sessions, 2FA, tokens) that scripts must never reach
+export const requireSessionAuth=(req,res,next)=>{
+    if(req.authType!=="session"){
+        return next(new ApiError(403,"This action requires a logged in session"))
+    }
+    next()
+}
@@ -0,0 +1,39 @@
+import path from "path";
+import { ApiError } from "../utils/ApiError.js";
+import { verifyLocalSignature } from "../utils/storage/local.storage.js";
+
+// Videos may be unpublished or scheduled, their files are only served by the stream endpoints or with a signed URL
+const SIGNED_ONLY_FOLDERS = ["videos/", "hls/"];
+
+/*
+  Guards the files of the local storage backend (served under /media, see app.js).
+  - Plain URLs of images are served like any public file, the same as on Cloudinary or a public bucket.
+  - Video files and HLS packages need a signed URL.
+  - A URL from getSignedFileUrl() carries `expires` and `signature`: once it is expired or altered
+    it is refused, so signed links behave like the other backends' presigned URLs.
+*/
+export const verifyMediaSignature = (req, res, next) => {
+  const { expires, signature } = req.query;
+
+  // normalized like the static file server does, "thumbnails/../videos/..." is a video too
+  let key;
+  try {
+    key = path.posix
+      .normalize(decodeURIComponent(req.path))
+      .replace(/^\/+/, "");
+  } catch (error) {
+    return next(new ApiError(400, "Invalid media path"));
+  }
+
+  const needsSignature = SIGNED_ONLY_FOLDERS.some((folder) =>
+    key.toLowerCase().startsWith(folder)
+  );
+  if (!needsSignature && expires === undefined && signature === undefined) {
+    return next();
+  }
+
+  if (!verifyLocalSignature(key, expires, signature)) {
+    return next(new ApiError(403, "Media link is invalid or has expired"));
+  }
+  next();
+};
@@ -0,0 +1,71 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { hasPermission } from "../utils/permissions.js";
+import { Video } from "../models/video.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+
+/*
+  Ownership guard, use it after verifyJWT on every route that changes a resource.
+  - Loads the document whose id is in req.params[param] (400 if the id is invalid, 404 if it doesn't exist).
+  - Lets the request through only if `owner` is the logged-in user, otherwise 403.
+  - Admins may always act on other people's resources; `overridePermission` lets other roles do so too
+    (e.g. moderators removing comments with "comment:moderate").
+  - The loaded document is put on req.resource, so the controller doesn't have to fetch it again.
+*/
+export const requireOwnership = (
+  Model,
+  { param, name, ownerField = "owner", overridePermission } = {}
+) => {
+  return asyncHandler(async (req, res, next) => {
+    const resourceId = req.params[param];
+
+    if (!isValidObjectId(resourceId)) {
+      throw new ApiError(400, `Invalid ${name.toLowerCase()} ID`);
+    }
+
+    const resource = await Model.findById(resourceId);
+
+    if (!resource) {
+      throw new ApiError(404, `${name} not found`);
+    }
+
+    const isOwner =
+      resource[ownerField]?.toString() === req.user._id.toString();
+    const canOverride =
+      req.user.role === "admin" ||
+      (overridePermission && hasPermission(req.user.role, overridePermission));
+
+    if (!isOwner && !canOverride) {
+      throw new ApiError(
+        403,
+        `You can only modify your own ${name.toLowerCase()}s`
+      );
+    }
+
+    req.resource = resource;
+    next();
+  });
+};
+
+export const videoOwnership = (options) =>
+  requireOwnership(Video, { param: "videoId", name: "Video", ...options });
+
+export const playlistOwnership = (options) =>
+  requireOwnership(Playlist, {
+    param: "playlistId",
+    name: "Playlist",
+    ...options,
+  });
+
+export const tweetOwnership = (options) =>
+  requireOwnership(Tweet, { param: "tweetId", name: "Tweet", ...options });
+
+export const commentOwnership = (options) =>
+  requireOwnership(Comment, {
+    param: "commentId",
+    name: "Comment",
+    ...options,
+  });
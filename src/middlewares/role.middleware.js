@@ -0,0 +1,39 @@
+import { ApiError } from "../utils/ApiError.js";
+import { hasPermission } from "../utils/permissions.js";
+
+/*
+  Authorization middlewares, use them after verifyJWT (they read req.user).
+  - requireRole("admin", "moderator"): the user must have one of the given roles.
+  - requirePermission("video:write"): the user's role must grant every given permission.
+  Both return plain middlewares, so they can be chained on a route.
+*/
+export const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, "Unauthorized request"));
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ApiError(403, "You do not have permission to perform this action")
+      );
+    }
+    next();
+  };
+};
+
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ApiError(401, "Unauthorized request"));
+    }
+    const isAllowed = permissions.every((permission) =>
+      hasPermission(req.user.role, permission)
+    );
+    if (!isAllowed) {
+      return next(
+        new ApiError(403, "You do not have permission to perform this action")
+      );
+    }
+    next();
+  };
+};
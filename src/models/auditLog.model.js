@@ -0,0 +1,78 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  Who did what to which record, and from where.
+  - Entries are append-only: updating or deleting them through the model throws.
+  - `actor` is empty for anonymous events (e.g. a failed login for an unknown user).
+  - `before`/`after` are snapshots of the target with secrets stripped (see utils/auditLog.js).
+*/
+const auditLogSchema = new Schema(
+  {
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      index: true,
+    },
+    targetId: {
+      type: Schema.Types.ObjectId,
+      index: true,
+    },
+    before: {
+      type: Schema.Types.Mixed,
+    },
+    after: {
+      type: Schema.Types.Mixed,
+    },
+    request: {
+      ip: String,
+      userAgent: String,
+      method: String,
+      path: String,
+      authType: String,
+      sessionId: Schema.Types.ObjectId,
+      tokenId: Schema.Types.ObjectId,
+    },
+    // anything else worth keeping that isn't a snapshot, e.g. the username tried in a failed login
+    metadata: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error("Audit log entries cannot be changed or removed");
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  rejectChange
+);
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectChange);
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,41 @@
+import mongoose, { Schema } from "mongoose";
+
+// A personal data export requested by a user, built in the background into a zip file
+const dataExportSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "ready", "failed", "expired"],
+      default: "queued",
+    },
+    filePath: {
+      type: String, // local path of the zip, never sent to clients
+      select: false,
+    },
+    fileSize: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    // refreshed while the archive is being written, a stale value means the writer died
+    lockedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date, // the download link stops working and the file is removed after this
+    },
+  },
+  { timestamps: true }
+);
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema);
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  A unit of background work (see utils/jobQueue.js).
+  - queued -> running -> completed, or back to queued with a later `runAt` when it failed and has attempts left,
+    and failed once it ran out of attempts.
+  - `lockedAt` tells a crashed worker's job apart from one that is still running.
+*/
+const jobSchema = new Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now, // not before this, used for the retry backoff
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// the worker's query: the oldest due job of a status
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ type: 1, "payload.videoId": 1 });
+// completed jobs are only kept for a week, failed ones stay for inspection
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const Job = mongoose.model("Job", jobSchema);
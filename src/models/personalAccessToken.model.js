@@ -0,0 +1,64 @@
+import mongoose, { Schema } from "mongoose";
+import { TOKEN_SCOPES } from "../consonants.js";
+
+/*
+  Long-lived tokens for scripts and integrations (e.g. upload automation).
+  - Sent as `Authorization: Bearer pat_...` instead of the session cookie.
+  - Only the hash is stored, `tokenPrefix` is kept so users can recognise their tokens in the list.
+*/
+const personalAccessTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: TOKEN_SCOPES,
+        },
+      ],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // null means the token never expires
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+personalAccessTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+export const PersonalAccessToken = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
@@ -0,0 +1,68 @@
+import mongoose, { Schema } from "mongoose";
+
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    deviceLabel: {
+      type: String,
+      trim: true,
+      default: "Unknown device",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    /*
+      A session is one refresh token family: every refresh hands out a new token and retires the old one.
+      Only the hash of the newest token is kept, so any other validly signed token for this session is a retired one.
+    */
+    refreshToken: {
+      type: String, // sha256 hash of the refresh token currently issued for this session
+    },
+    rotationCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "refresh_token_reuse", "password_reset"],
+    },
+    // Filled in when a retired refresh token of this family is presented again
+    reuseDetected: {
+      at: Date,
+      ip: String,
+      userAgent: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes sessions on its own once the refresh token would have expired anyway
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  A resumable upload: the file is sent in chunks, each one appended at `receivedBytes`.
+  - The partial file lives on local disk (see utils/resumableUpload.js), named after the session.
+  - Sessions that see no chunk for a while expire, the cleanup job removes them and their files.
+*/
+const uploadSessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+    },
+    totalSize: {
+      type: Number,
+      required: true,
+    },
+    receivedBytes: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed"],
+      default: "active",
+    },
+    lockedAt: {
+      type: Date, // set while a chunk is being written, so two chunks can't interleave
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video", // the video created when the upload was finalized
+    },
+  },
+  { timestamps: true }
+);
+
+export const UploadSession = mongoose.model(
+  "UploadSession",
+  uploadSessionSchema
+);
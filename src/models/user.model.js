@@ -1,6 +1,8 @@
 import mongoose, {Schema} from "mongoose";
 import jwt from "jsonwebtoken"
+import crypto from "crypto"
 import bcrypt from "bcrypt"
+import { USER_ROLES } from "../consonants.js"
 
 const userSchema = new Schema(
     {
@@ -19,6 +21,33 @@ const userSchema = new Schema(
             lowecase: true,
             trim: true, 
         },
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date
+        },
+        role: {
+            type: String,
+            enum: USER_ROLES,
+            default: "user",
+            index: true
+        },
+        // account deletion: the account is purged by jobs/accountPurge.job.js once the grace period is over
+        deletionRequestedAt: {
+            type: Date,
+            default: null
+        },
+        deletionScheduledFor: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        purgeStartedAt: {
+            type: Date,
+            default: null
+        },
         fullName: {
             type: String,
             required: true,
@@ -26,11 +55,18 @@ const userSchema = new Schema(
             index: true
         },
         avatar: {
-            type: String, // cloudinary url
+            type: String, // url of the stored file
             required: true,
         },
+        // storage keys (utils/storage) of the files above, missing for files uploaded before keys existed
+        avatarKey: {
+            type: String,
+        },
         coverImage: {
-            type: String, // cloudinary url
+            type: String, // url of the stored file
+        },
+        coverImageKey: {
+            type: String,
         },
         watchHistory: [
             {
@@ -42,8 +78,31 @@ const userSchema = new Schema(
             type: String,
             required: [true, 'Password is required']
         },
-        refreshToken: {
-            type: String
+        // TOTP two-factor auth, secrets and recovery codes are never selected unless asked for
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            secret: {
+                type: String,
+                select: false
+            },
+            pendingSecret: {
+                type: String, // secret waiting for the first valid code before 2FA is switched on
+                select: false
+            },
+            recoveryCodes: {
+                type: [String], // sha256 hashes of the one-time recovery codes
+                select: false
+            },
+            lastUsedStep: {
+                type: Number, // last accepted TOTP time step, a code can't be replayed
+                select: false
+            },
+            enabledAt: {
+                type: Date
+            }
         }
 
     },
@@ -63,29 +122,34 @@ userSchema.methods.isPasswordCorrect = async function(password){
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function(){
+// sessionId ties the token to the login (device) it was issued for, see session.model.js
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
             username: this.username,
-            fullName: this.fullName
+            fullName: this.fullName,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
-            expiresIn: process.env.ACCESS_TOKEN_EXPIRY
+            expiresIn: process.env.ACCESS_TOKEN_EXPIRY,
+            jwtid: crypto.randomUUID()
         }
     )
 }
-userSchema.methods.generateRefreshToken = function(){
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
-            
+            sid: sessionId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRY
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+            // unique per token, a rotation within the same second must not sign the very token it replaces
+            jwtid: crypto.randomUUID()
         }
     )
 }
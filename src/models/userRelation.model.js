@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  One user blocking or muting another.
+  - block: `target` can't comment on, like or subscribe to `user`'s content, and can't see their tweets.
+  - mute: `target`'s comments and tweets are hidden from `user`'s feeds, nothing else changes.
+*/
+const userRelationSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId, // the one who blocks / mutes
+      ref: "User",
+      required: true,
+    },
+    target: {
+      type: Schema.Types.ObjectId, // the one being blocked / muted
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["block", "mute"],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+userRelationSchema.index({ user: 1, target: 1, type: 1 }, { unique: true });
+
+export const UserRelation = mongoose.model("UserRelation", userRelationSchema);
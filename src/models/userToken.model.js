@@ -0,0 +1,82 @@
+import mongoose, { Schema } from "mongoose";
+import { generateRandomToken, hashToken } from "../utils/crypto.js";
+
+/*
+  Single-use tokens that we mail to users (password reset links, ...).
+  Only the hash is stored; the raw token exists in the email and nowhere else.
+*/
+const userTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: ["password_reset", "email_verification"],
+      required: true,
+    },
+    // For email verification: the address the link was sent to, so it can't verify a different one later
+    email: {
+      type: String,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired tokens are useless, let MongoDB clean them up
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Creates a new token of `type` for the user and returns the raw value to be mailed.
+// Any older unused token of the same type stops working, only the latest link is valid.
+userTokenSchema.statics.issue = async function (
+  userId,
+  type,
+  ttlMinutes,
+  extra = {}
+) {
+  await this.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = generateRandomToken();
+  await this.create({
+    ...extra,
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Marks the token as used and returns it, or null if it's unknown, expired or already used.
+// The check and the update happen in one query, so the same token can't be redeemed twice.
+userTokenSchema.statics.consume = async function (token, type) {
+  return await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema);
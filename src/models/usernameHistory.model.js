@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  Handles a user had before they renamed themselves.
+  - /c/:username lookups for an old handle still find the channel (and redirect to the new one).
+  - Nobody else can register the old handle until `reservedUntil` has passed.
+*/
+const usernameHistorySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    username: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reservedUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export const UsernameHistory = mongoose.model(
+  "UsernameHistory",
+  usernameHistorySchema
+);
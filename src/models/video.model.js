@@ -1,13 +1,52 @@
 import mongoose,{Schema} from "mongoose";
 
+// file, thumbnail and duration only exist once the upload has been processed
+const isProcessed=function(){
+    return !this.processingStatus || this.processingStatus==="ready"
+}
+
 const videoSchema=new Schema({
     videoFile:{
         type:String,
-        required:true
+        required:isProcessed
+    },
+    // every stored file keeps its storage key (utils/storage) next to the url, so files can be moved
+    // to another backend later; missing for files uploaded before keys existed
+    videoFileKey:{
+        type:String
+    },
+    // HLS master playlist, players pick one of the renditions below by bandwidth
+    hlsPlaylist:{
+        type:String
+    },
+    hlsPlaylistKey:{
+        type:String
     },
+    renditions:[{
+        _id:false,
+        name:String,
+        width:Number,
+        height:Number,
+        bandwidth:Number,
+        playlistUrl:String,
+        playlistKey:String
+    }],
     thumbnail:{
         type:String,
-        required:true
+        required:isProcessed
+    },
+    thumbnailKey:{
+        type:String
+    },
+    // frames taken from the video when no thumbnail was uploaded, the owner can pick another one later
+    thumbnailCandidates:{
+        type:[String],
+        default:[]
+    },
+    // keys of the candidates, in the same order
+    thumbnailCandidateKeys:{
+        type:[String],
+        default:[]
     },
     title:{
         type:String,
@@ -16,9 +55,13 @@ const videoSchema=new Schema({
     description:{
         type:String,
         required:true
+    },
+    tags:{
+        type:[String],
+        default:[]
     },duration:{
         type:Number,
-        required:true
+        required:isProcessed
     },views:{
         type:Number,
         default:0
@@ -27,10 +70,39 @@ const videoSchema=new Schema({
         type:Boolean,
         default:true
     },
+    // scheduled publishing: the video stays unpublished until then (jobs/scheduledPublish.job.js)
+    publishAt:{
+        type:Date,
+        index:true
+    },
     owner:{
         type:mongoose.Schema.Types.ObjectId,
         ref:"User"
+    },
+    // uploads are processed in the background (jobs/videoProcessing.job.js), only "ready" videos are listed
+    processingStatus:{
+        type:String,
+        enum:["queued","processing","ready","failed"],
+        default:"ready"
+    },
+    processingError:{
+        type:String
+    },
+    // local paths of the staged upload while it waits for processing, never sent to clients
+    sourceFile:{
+        type:String,
+        select:false
+    },
+    sourceThumbnail:{
+        type:String,
+        select:false
     }
 },{timestamps:true})
 
+// full-text search over title, description and tags (getAllVideos), title matches weigh most
+videoSchema.index(
+    {title:"text",description:"text",tags:"text"},
+    {name:"video_text_search",weights:{title:10,tags:5,description:1}}
+)
+
 export const Video=mongoose.model("Video",videoSchema)
\ No newline at end of file
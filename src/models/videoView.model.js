@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  Marks that `viewer` has already been counted as a view of `video`.
+  - While the document exists, further watches by the same viewer don't add a view.
+  - It expires (TTL index) at the end of the dedup window, after that the next watch counts again.
+*/
+const videoViewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    },
+    viewer: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+videoViewSchema.index({ video: 1, viewer: 1 }, { unique: true });
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema);
@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+/*
+  How far a user got in a video, updated by the player's progress heartbeat.
+  - One document per user and video, `position` is where playback should resume (in seconds).
+  - `completed` is set once (nearly) the whole video was watched, resuming then starts from the beginning.
+*/
+const watchProgressSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+      index: true,
+    },
+    position: {
+      type: Number,
+      default: 0,
+    },
+    percentWatched: {
+      type: Number,
+      default: 0,
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+    lastWatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // watch time measured from the heartbeats (not reported by the client), used up by each counted view
+    watchedSeconds: {
+      type: Number,
+      default: 0,
+    },
+    // when the video last moved to the front of the user's watch history, the history is paged by it
+    historyAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+watchProgressSchema.index({ user: 1, video: 1 }, { unique: true });
+// "continue watching": a user's unfinished videos, most recently watched first
+watchProgressSchema.index({ user: 1, completed: 1, lastWatchedAt: -1 });
+// the watch history, most recent first
+watchProgressSchema.index({ user: 1, historyAt: -1 });
+
+export const WatchProgress = mongoose.model(
+  "WatchProgress",
+  watchProgressSchema
+);
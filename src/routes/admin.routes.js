@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  assignUserRole,
+  getAccountLockouts,
+  getAuditLogs,
+  getUsersByRole,
+  unlockUserAccount,
+} from "../controllers/admin.controller.js";
+import {
+  requireSessionAuth,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { requireRole } from "../middlewares/role.middleware.js";
+
+const router = Router();
+router.use(verifyJWT, requireSessionAuth, requireRole("admin")); // Every route in this file is admin only
+
+router.route("/users").get(getUsersByRole);
+router.route("/users/:userId/role").patch(assignUserRole);
+router.route("/lockouts").get(getAccountLockouts);
+router.route("/lockouts/:userId").delete(unlockUserAccount);
+router.route("/audit-logs").get(getAuditLogs);
+
+export default router;
@@ -5,13 +5,36 @@ import {
     getVideoComments,
     updateComment,
 } from "../controllers/comment.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {requireScope, requireVerifiedEmail, verifyJWT} from "../middlewares/auth.middleware.js"
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { commentOwnership } from "../middlewares/ownership.middleware.js";
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/:videoId").get(getVideoComments).post(addComment);
-router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
+router
+    .route("/:videoId")
+    .get(requirePermission("comment:read"), requireScope("comments:read"), getVideoComments)
+    .post(
+        requirePermission("comment:write"),
+        requireScope("comments:write"),
+        requireVerifiedEmail,
+        addComment
+    );
+router
+    .route("/c/:commentId")
+    .delete(
+        requirePermission("comment:write"),
+        requireScope("comments:write"),
+        commentOwnership({ overridePermission: "comment:moderate" }),
+        deleteComment
+    )
+    .patch(
+        requirePermission("comment:write"),
+        requireScope("comments:write"),
+        commentOwnership(),
+        updateComment
+    );
 
 export default router
\ No newline at end of file
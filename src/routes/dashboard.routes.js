@@ -3,11 +3,11 @@ import {
     getChannelStats,
     getChannelVideos,
 } from "../controllers/dashboard.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {requireScope, verifyJWT} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+router.use(verifyJWT, requireScope("analytics:read")); // Apply verifyJWT middleware to all routes in this file
 
 router.route("/stats").get(getChannelStats);
 router.route("/videos").get(getChannelVideos);
@@ -8,23 +8,57 @@ import {
     removeVideoFromPlaylist,
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {requireScope, verifyJWT} from "../middlewares/auth.middleware.js"
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { playlistOwnership } from "../middlewares/ownership.middleware.js";
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createPlaylist)
+router.route("/").post(
+    requirePermission("playlist:write"),
+    requireScope("playlists:write"),
+    createPlaylist
+)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .get(requirePermission("playlist:read"), requireScope("playlists:read"), getPlaylistById)
+    .patch(
+        requirePermission("playlist:write"),
+        requireScope("playlists:write"),
+        playlistOwnership(),
+        updatePlaylist
+    )
+    .delete(
+        requirePermission("playlist:write"),
+        requireScope("playlists:write"),
+        playlistOwnership(),
+        deletePlaylist
+    );
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router
+    .route("/add/:videoId/:playlistId")
+    .patch(
+        requirePermission("playlist:write"),
+        requireScope("playlists:write"),
+        playlistOwnership(),
+        addVideoToPlaylist
+    );
+router
+    .route("/remove/:videoId/:playlistId")
+    .patch(
+        requirePermission("playlist:write"),
+        requireScope("playlists:write"),
+        playlistOwnership(),
+        removeVideoFromPlaylist
+    );
 
-router.route("/user/:userId").get(getUserPlaylists);
+router.route("/user/:userId").get(
+    requirePermission("playlist:read"),
+    requireScope("playlists:read"),
+    getUserPlaylists
+);
 
 export default router
\ No newline at end of file
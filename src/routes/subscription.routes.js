@@ -4,16 +4,18 @@ import {
     getUserChannelSubscribers,
     toggleSubscription,
 } from "../controllers/subscription.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {requireScope, verifyJWT} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router
     .route("/c/:channelId")
-    .get(getSubscribedChannels)
-    .post(toggleSubscription);
+    .get(requireScope("subscriptions:read"), getSubscribedChannels)
+    .post(requireScope("subscriptions:write"), toggleSubscription);
 
-router.route("/u/:subscriberId").get(getUserChannelSubscribers);
+router
+    .route("/u/:subscriberId")
+    .get(requireScope("subscriptions:read"), getUserChannelSubscribers);
 
 export default router
\ No newline at end of file
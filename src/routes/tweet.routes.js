@@ -2,16 +2,46 @@ import { Router } from 'express';
 import {
     createTweet,
     deleteTweet,
+    getTweetFeed,
     getUserTweets,
     updateTweet,
 } from "../controllers/tweet.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {requireScope, requireVerifiedEmail, verifyJWT} from "../middlewares/auth.middleware.js"
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { tweetOwnership } from "../middlewares/ownership.middleware.js";
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createTweet);
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+router.route("/").post(
+    requirePermission("tweet:write"),
+    requireScope("tweets:write"),
+    requireVerifiedEmail,
+    createTweet
+);
+router.route("/user/:userId").get(
+    requirePermission("tweet:read"),
+    requireScope("tweets:read"),
+    getUserTweets
+);
+router.route("/feed").get(
+    requirePermission("tweet:read"),
+    requireScope("tweets:read"),
+    getTweetFeed
+);
+router
+    .route("/:tweetId")
+    .patch(
+        requirePermission("tweet:write"),
+        requireScope("tweets:write"),
+        tweetOwnership(),
+        updateTweet
+    )
+    .delete(
+        requirePermission("tweet:write"),
+        requireScope("tweets:write"),
+        tweetOwnership({ overridePermission: "tweet:moderate" }),
+        deleteTweet
+    );
 
 export default router
\ No newline at end of file
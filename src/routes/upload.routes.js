@@ -0,0 +1,37 @@
+import { Router } from "express";
+import {
+  cancelUpload,
+  createUploadSession,
+  finalizeUpload,
+  getUploadSession,
+  uploadChunk,
+} from "../controllers/upload.controller.js";
+import {
+  requireScope,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+
+const router = Router();
+// Resumable uploads are video uploads, so they need the same rights as POST /videos
+router.use(
+  verifyJWT,
+  requirePermission("video:write"),
+  requireScope("videos:write")
+);
+
+router.route("/").post(requireVerifiedEmail, createUploadSession);
+
+router
+  .route("/:uploadId")
+  .get(getUploadSession) // also answers HEAD
+  .patch(uploadChunk)
+  .delete(cancelUpload);
+
+router
+  .route("/:uploadId/finalize")
+  .post(requireVerifiedEmail, upload.single("thumbnail"), finalizeUpload);
+
+export default router;
@@ -1,20 +1,60 @@
 import { Router } from "express";
 import { changeCurrentPassword,
+    forgotPassword,
+    getContinueWatching,
     getCurrentUser,
     getUserChannelProfile,
     getWatchHistory,
     loginUser,
+    loginWithTwoFactor,
     logOutUser,
     refreshAccessToken,
     registerUser, 
+    resendVerificationEmail,
+    resetPassword,
     updateAccountDetails, 
+    updateUsername,
     updateUserAvatar, 
-    updateUserCoverImage 
+    updateUserCoverImage,
+    verifyEmail
 } from "../controllers/user.controller.js";
 
+import {
+    getActiveSessions,
+    revokeOtherSessions,
+    revokeSession
+} from "../controllers/session.controller.js";
+import {
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    setupTwoFactor
+} from "../controllers/twoFactor.controller.js";
+import {
+    createPersonalAccessToken,
+    getPersonalAccessTokens,
+    revokePersonalAccessToken
+} from "../controllers/personalAccessToken.controller.js";
+import {
+    cancelAccountDeletion,
+    downloadDataExport,
+    getDataExportStatus,
+    requestAccountDeletion,
+    requestDataExport
+} from "../controllers/account.controller.js";
+
+import {
+    blockUser,
+    getBlockedUsers,
+    getMutedUsers,
+    muteUser,
+    unblockUser,
+    unmuteUser
+} from "../controllers/userRelation.controller.js";
+
 import { upload } from "../middlewares/multer.middleware.js";
 
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireScope, requireSessionAuth, verifyJWT } from "../middlewares/auth.middleware.js";
 
 const router =Router();
 
@@ -32,15 +72,47 @@ router.route("/register").post(
 );
 //secured routes
 router.route("/login").post(loginUser)
-router.route("/logout").post(verifyJWT,logOutUser)
+router.route("/login/2fa").post(loginWithTwoFactor)
+router.route("/logout").post(verifyJWT,requireSessionAuth,logOutUser)
 router.route("/refresh-token").post(refreshAccessToken)
-router.route("/change-password").post(verifyJWT,changeCurrentPassword)
-router.route("/current-user").get(verifyJWT,getCurrentUser)
-router.route("/update-account").patch(verifyJWT,updateAccountDetails)
-router.route("/avatar").patch(verifyJWT,upload.single("avatar"),updateUserAvatar)
-router.route("/cover-image").patch(verifyJWT,upload.single("coverImage"),updateUserCoverImage)
-router.route("/c/:username").get(verifyJWT,getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/change-password").post(verifyJWT,requireSessionAuth,changeCurrentPassword)
+router.route("/forgot-password").post(forgotPassword)
+router.route("/reset-password").post(resetPassword)
+router.route("/verify-email").post(verifyEmail)
+router.route("/resend-verification").post(verifyJWT,requireSessionAuth,resendVerificationEmail)
+router.route("/current-user").get(verifyJWT,requireScope("profile:read"),getCurrentUser)
+router.route("/update-account").patch(verifyJWT,requireSessionAuth,updateAccountDetails)
+router.route("/username").patch(verifyJWT,requireSessionAuth,updateUsername)
+router.route("/avatar").patch(verifyJWT,requireSessionAuth,upload.single("avatar"),updateUserAvatar)
+router.route("/cover-image").patch(verifyJWT,requireSessionAuth,upload.single("coverImage"),updateUserCoverImage)
+router.route("/c/:username").get(verifyJWT,requireScope("profile:read"),getUserChannelProfile)
+router.route("/history").get(verifyJWT,requireScope("profile:read"),getWatchHistory)
+router.route("/continue-watching").get(verifyJWT,requireScope("profile:read"),getContinueWatching)
+router.route("/sessions").get(verifyJWT,requireSessionAuth,getActiveSessions)
+router.route("/sessions/revoke-others").post(verifyJWT,requireSessionAuth,revokeOtherSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT,requireSessionAuth,revokeSession)
+router.route("/2fa/setup").post(verifyJWT,requireSessionAuth,setupTwoFactor)
+router.route("/2fa/confirm").post(verifyJWT,requireSessionAuth,confirmTwoFactor)
+router.route("/2fa/disable").post(verifyJWT,requireSessionAuth,disableTwoFactor)
+router.route("/2fa/recovery-codes").post(verifyJWT,requireSessionAuth,regenerateRecoveryCodes)
+router.route("/tokens")
+    .get(verifyJWT,requireSessionAuth,getPersonalAccessTokens)
+    .post(verifyJWT,requireSessionAuth,createPersonalAccessToken)
+router.route("/tokens/:tokenId").delete(verifyJWT,requireSessionAuth,revokePersonalAccessToken)
+router.route("/account").delete(verifyJWT,requireSessionAuth,requestAccountDeletion)
+router.route("/account/restore").post(verifyJWT,requireSessionAuth,cancelAccountDeletion)
+router.route("/account/exports").post(verifyJWT,requireSessionAuth,requestDataExport)
+router.route("/account/exports/:exportId").get(verifyJWT,requireSessionAuth,getDataExportStatus)
+// no session needed, the signed token in the link is the authorization
+router.route("/account/exports/:exportId/download").get(downloadDataExport)
+router.route("/blocks").get(verifyJWT,requireSessionAuth,getBlockedUsers)
+router.route("/blocks/:userId")
+    .post(verifyJWT,requireSessionAuth,blockUser)
+    .delete(verifyJWT,requireSessionAuth,unblockUser)
+router.route("/mutes").get(verifyJWT,requireSessionAuth,getMutedUsers)
+router.route("/mutes/:userId")
+    .post(verifyJWT,requireSessionAuth,muteUser)
+    .delete(verifyJWT,requireSessionAuth,unmuteUser)
 
 
 export  default router ;
\ No newline at end of file
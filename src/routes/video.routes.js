@@ -1,22 +1,42 @@
 import { Router } from "express";
 import {
+  cancelVideoSchedule,
   deleteVideo,
   getAllVideos,
   getVideoById,
+  getVideoProcessingStatus,
   publishAVideo,
+  recordVideoView,
+  scheduleVideo,
+  streamHlsFile,
+  streamVideo,
   togglePublishStatus,
   updateVideo,
+  updateWatchProgress,
 } from "../controllers/video.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  requireScope,
+  requireVerifiedEmail,
+  verifyJWT,
+} from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { videoOwnership } from "../middlewares/ownership.middleware.js";
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router
   .route("/")
-  .get(getAllVideos)
+  .get(
+    requirePermission("video:read"),
+    requireScope("videos:read"),
+    getAllVideos
+  )
   .post(
+    requirePermission("video:write"),
+    requireScope("videos:write"),
+    requireVerifiedEmail,
     upload.fields([
       {
         name: "videoFile",
@@ -32,10 +52,90 @@ router
 
 router
   .route("/:videoId")
-  .get(getVideoById)
-  .delete(deleteVideo)
-  .patch(upload.single("thumbnail"), updateVideo);
+  .get(
+    requirePermission("video:read"),
+    requireScope("videos:read"),
+    getVideoById
+  )
+  .delete(
+    requirePermission("video:write"),
+    requireScope("videos:write"),
+    videoOwnership({ overridePermission: "video:moderate" }),
+    deleteVideo
+  )
+  .patch(
+    requirePermission("video:write"),
+    requireScope("videos:write"),
+    videoOwnership(),
+    upload.single("thumbnail"),
+    updateVideo
+  );
+
+router
+  .route("/:videoId/status")
+  .get(
+    requirePermission("video:read"),
+    requireScope("videos:read"),
+    videoOwnership({ overridePermission: "video:moderate" }),
+    getVideoProcessingStatus
+  );
+
+// GET also answers HEAD requests (headers only)
+router
+  .route("/:videoId/stream")
+  .get(
+    requirePermission("video:read"),
+    requireScope("videos:read"),
+    streamVideo
+  );
+
+// HLS playlists and segments of the local storage backend, e.g. /:videoId/hls/master.m3u8
+router
+  .route("/:videoId/hls/*")
+  .get(
+    requirePermission("video:read"),
+    requireScope("videos:read"),
+    streamHlsFile
+  );
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router
+  .route("/:videoId/views")
+  .post(
+    requirePermission("video:read"),
+    requireScope("videos:read"),
+    recordVideoView
+  );
+
+router
+  .route("/:videoId/progress")
+  .put(
+    requirePermission("video:read"),
+    requireScope("videos:read"),
+    updateWatchProgress
+  );
+
+router
+  .route("/:videoId/schedule")
+  .put(
+    requirePermission("video:write"),
+    requireScope("videos:write"),
+    videoOwnership(),
+    scheduleVideo
+  )
+  .delete(
+    requirePermission("video:write"),
+    requireScope("videos:write"),
+    videoOwnership(),
+    cancelVideoSchedule
+  );
+
+router
+  .route("/toggle/publish/:videoId")
+  .patch(
+    requirePermission("video:write"),
+    requireScope("videos:write"),
+    videoOwnership({ overridePermission: "video:moderate" }),
+    togglePublishStatus
+  );
 
 export default router;
@@ -0,0 +1,123 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Session } from "../models/session.model.js";
+import { UserToken } from "../models/userToken.model.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.model.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { UsernameHistory } from "../models/usernameHistory.model.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { removeUploadFile } from "./resumableUpload.js";
+import { deleteStoredFile } from "./storage/storage.js";
+import { deleteHlsPackage } from "./hls.js";
+import { getThumbnailCandidates } from "./thumbnails.js";
+import fs from "fs";
+
+/*
+  Removes a user and everything that belongs to them.
+  - Stored media files go first: if one of them can't be removed we throw before touching the database,
+    so the next purge run retries the whole account instead of leaving orphaned files behind.
+  - Other users' data that merely points at this user's content (playlists, watch history) is cleaned up too.
+*/
+export const purgeUserAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const videos = await Video.find({ owner: userId }).select(
+    "videoFile videoFileKey thumbnail thumbnailKey thumbnailCandidates thumbnailCandidateKeys hlsPlaylist hlsPlaylistKey"
+  );
+  const videoIds = videos.map((video) => video._id);
+  const tweetIds = await Tweet.find({ owner: userId }).distinct("_id");
+
+  // every comment that disappears: the user's own comments and all comments under the user's videos
+  const commentIds = await Comment.find({
+    $or: [{ owner: userId }, { video: { $in: videoIds } }],
+  }).distinct("_id");
+
+  // 1. Media files
+  const assets = [
+    { url: user.avatar, key: user.avatarKey },
+    { url: user.coverImage, key: user.coverImageKey },
+    ...videos.flatMap((video) => [
+      { url: video.videoFile, key: video.videoFileKey },
+      { url: video.thumbnail, key: video.thumbnailKey },
+      ...getThumbnailCandidates(video),
+    ]),
+  ];
+
+  // the thumbnail usually is one of the candidates
+  const uniqueAssets = new Map();
+  for (const asset of assets.filter((asset) => asset.url || asset.key)) {
+    uniqueAssets.set(asset.key || asset.url, asset);
+  }
+
+  for (const asset of uniqueAssets.values()) {
+    await deleteStoredFile(asset);
+  }
+  for (const video of videos.filter((video) => video.hlsPlaylistKey)) {
+    await deleteHlsPackage(video.hlsPlaylistKey);
+  }
+
+  // 2. Content and relationships
+  await Like.deleteMany({
+    $or: [
+      { likedBy: userId },
+      { video: { $in: videoIds } },
+      { tweet: { $in: tweetIds } },
+      { comment: { $in: commentIds } },
+    ],
+  });
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Tweet.deleteMany({ owner: userId });
+  await Playlist.deleteMany({ owner: userId });
+  await Playlist.updateMany(
+    { videos: { $in: videoIds } },
+    { $pull: { videos: { $in: videoIds } } }
+  );
+  await User.updateMany(
+    { watchHistory: { $in: videoIds } },
+    { $pull: { watchHistory: { $in: videoIds } } }
+  );
+  await Video.deleteMany({ owner: userId });
+  await Subscription.deleteMany({
+    $or: [{ subscriber: userId }, { channel: userId }],
+  });
+  await VideoView.deleteMany({
+    $or: [{ viewer: userId }, { video: { $in: videoIds } }],
+  });
+  await WatchProgress.deleteMany({
+    $or: [{ user: userId }, { video: { $in: videoIds } }],
+  });
+  await UserRelation.deleteMany({
+    $or: [{ user: userId }, { target: userId }],
+  });
+
+  // 3. Credentials and finally the user
+  await Session.deleteMany({ user: userId });
+  await UserToken.deleteMany({ user: userId });
+  await PersonalAccessToken.deleteMany({ user: userId });
+
+  const dataExports = await DataExport.find({ user: userId }).select(
+    "+filePath"
+  );
+  for (const dataExport of dataExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ user: userId });
+  const uploadSessions = await UploadSession.find({ user: userId });
+  for (const session of uploadSessions) {
+    await removeUploadFile(session);
+  }
+  await UploadSession.deleteMany({ user: userId });
+  await UsernameHistory.deleteMany({ user: userId });
+  await User.deleteOne({ _id: userId });
+};
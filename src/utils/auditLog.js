@@ -0,0 +1,59 @@
+import { AuditLog } from "../models/auditLog.model.js";
+
+// Never copied into a snapshot, whatever model the target is
+const SECRET_FIELDS = [
+  "password",
+  "refreshToken",
+  "tokenHash",
+  "twoFactor",
+  "recoveryCodes",
+  "filePath",
+];
+
+export const toAuditSnapshot = (doc) => {
+  if (!doc) return undefined;
+
+  const snapshot =
+    typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+  for (const field of SECRET_FIELDS) {
+    delete snapshot[field];
+  }
+  return snapshot;
+};
+
+const getRequestMetadata = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent") || "",
+  method: req.method,
+  // without the query string, download links carry their token there
+  path: req.originalUrl?.split("?")[0],
+  authType: req.authType,
+  sessionId: req.sessionId,
+  tokenId: req.tokenId,
+});
+
+/*
+  Appends one entry to the audit log.
+  - `actor` defaults to the logged-in user, pass it explicitly for login events and the like.
+  - `req` may be null for actions taken by background jobs.
+  - A failed write is only logged: losing an audit entry shouldn't undo an action that already happened.
+*/
+export const recordAuditEvent = async (
+  req,
+  { action, actor, targetType, targetId, before, after, metadata }
+) => {
+  try {
+    await AuditLog.create({
+      actor: actor !== undefined ? actor : req?.user?._id || null,
+      action,
+      targetType,
+      targetId,
+      before: toAuditSnapshot(before),
+      after: toAuditSnapshot(after),
+      request: req ? getRequestMetadata(req) : undefined,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Could not write audit log entry for ${action}`, error);
+  }
+};
@@ -1,5 +1,4 @@
 import {v2 as cloudinary} from "cloudinary"
-import fs from "fs"
 
 
 cloudinary.config({ 
@@ -8,24 +7,21 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET 
 });
 
-const uploadonCloudinary = async (localFilePath) => {
-    try {
-        if (!localFilePath) return null
-        //upload the file on cloudinary
-        const response = await cloudinary.uploader.upload(localFilePath, {
-            resource_type: "auto"
-        })
-        // file has been uploaded successfully
-        //console.log("file is uploaded on cloudinary ", response.url);
-        fs.unlinkSync(localFilePath)
-        return response;
+// uploads go through utils/storage (STORAGE_BACKEND=cloudinary uses storage/cloudinary.storage.js)
 
-    } catch (error) {
-        fs.unlinkSync(localFilePath) // remove the locally saved temporary file as the upload operation got failed
-        return null;
-    }
+// removes an asset we uploaded earlier, the public id and resource type are taken from its url
+// e.g. http://res.cloudinary.com/<cloud>/video/upload/v1712/folder/abc.mp4 -> video, "folder/abc"
+// still needed for assets stored before they had a storage key
+const deleteFromCloudinary = async (url) => {
+    if (!url) return null
+    const match = url.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/)
+    if (!match) return null
+    const [, resourceType, publicId] = match
+    return await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        invalidate: true
+    })
 }
 
 
-
-export {uploadonCloudinary};
\ No newline at end of file
+export {cloudinary, deleteFromCloudinary};
@@ -0,0 +1,20 @@
+import crypto from "crypto";
+
+// Tokens that we hand out to users (refresh tokens, reset links, ...) are never stored as-is.
+// We only keep their sha256 hash, so a leaked database dump can't be replayed against the API.
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Generates a url-safe random token of `bytes` bytes of entropy.
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+// Compares two hashes in constant time so the comparison doesn't leak timing information.
+export const safeCompare = (a, b) => {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+import archiver from "archiver";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { UserRelation } from "../models/userRelation.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+
+export const getDataExportDirectory = () =>
+  process.env.DATA_EXPORT_DIR || "./exports";
+
+/*
+  Everything we store about a user, one entry per JSON file in the archive.
+  - Secrets (password hash, 2FA secret, recovery codes) are left out on purpose.
+*/
+const collectUserData = async (userId) => {
+  const profile = await User.findById(userId)
+    .select("-password -watchHistory")
+    .lean();
+
+  const user = await User.findById(userId)
+    .select("watchHistory")
+    .populate("watchHistory", "title description duration createdAt")
+    .lean();
+
+  return {
+    "profile.json": profile,
+    "watch-history.json": user?.watchHistory || [],
+    "watch-progress.json": await WatchProgress.find({ user: userId })
+      .populate("video", "title duration")
+      .lean(),
+    "videos.json": await Video.find({ owner: userId }).lean(),
+    "tweets.json": await Tweet.find({ owner: userId }).lean(),
+    "comments.json": await Comment.find({ owner: userId }).lean(),
+    "likes.json": await Like.find({ likedBy: userId }).lean(),
+    "playlists.json": await Playlist.find({ owner: userId }).lean(),
+    "subscriptions.json": {
+      subscribedTo: await Subscription.find({ subscriber: userId })
+        .populate("channel", "username fullName")
+        .lean(),
+      subscribers: await Subscription.find({ channel: userId })
+        .populate("subscriber", "username fullName")
+        .lean(),
+    },
+    "blocks-and-mutes.json": await UserRelation.find({ user: userId })
+      .populate("target", "username fullName")
+      .lean(),
+  };
+};
+
+// Writes the zip for `userId` to `filePath` and resolves with its size in bytes
+export const writeDataExportArchive = async (userId, filePath) => {
+  const files = await collectUserData(userId);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  return await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    output.on("close", () => resolve(archive.pointer()));
+    output.on("error", reject);
+    archive.on("error", reject);
+
+    archive.pipe(output);
+    for (const [fileName, content] of Object.entries(files)) {
+      archive.append(JSON.stringify(content, null, 2), { name: fileName });
+    }
+    archive.finalize();
+  });
+};
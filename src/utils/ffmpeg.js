@@ -1,3 +1,4 @@
+import path from "path";
 import ffmpeg from "fluent-ffmpeg";
 
 // Function to get the duration of a video file
@@ -25,3 +26,115 @@ export const getVideoDuration = (videoPath) => {
    - We wrap this in a Promise to use it asynchronously.
 
 */
+
+// Duration plus the resolution of the first video stream, used to pick the HLS renditions
+export const getVideoMetadata = (videoPath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) {
+        reject("Error reading video metadata");
+        return;
+      }
+
+      const videoStream = metadata.streams.find(
+        (stream) => stream.codec_type === "video"
+      );
+      if (!videoStream) {
+        reject("The uploaded file has no video stream");
+        return;
+      }
+
+      resolve({
+        duration: metadata.format.duration,
+        width: videoStream.width,
+        height: videoStream.height,
+        hasAudio: metadata.streams.some(
+          (stream) => stream.codec_type === "audio"
+        ),
+      });
+    });
+  });
+};
+
+/*
+  Transcodes `videoPath` into one HLS rendition inside `outputDir`:
+  - `index.m3u8` plus `segment_000.ts`, `segment_001.ts`, ...
+  - Keyframes are forced every segment so all renditions are cut at the same points,
+    which lets players switch quality between two segments.
+*/
+export const transcodeToHlsRendition = (
+  videoPath,
+  outputDir,
+  { height, videoBitrate, audioBitrate },
+  { segmentSeconds = 6, hasAudio = true } = {}
+) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .outputOptions([
+        `-vf scale=-2:${height}`,
+        "-c:v libx264",
+        "-preset veryfast",
+        "-profile:v main",
+        `-b:v ${videoBitrate}k`,
+        `-maxrate ${Math.round(videoBitrate * 1.07)}k`,
+        `-bufsize ${videoBitrate * 2}k`,
+        `-force_key_frames expr:gte(t,n_forced*${segmentSeconds})`,
+        "-sc_threshold 0",
+        ...(hasAudio
+          ? ["-c:a aac", `-b:a ${audioBitrate}k`, "-ac 2"]
+          : ["-an"]),
+        "-f hls",
+        `-hls_time ${segmentSeconds}`,
+        "-hls_playlist_type vod",
+      ])
+      // passed as two arguments so a path with spaces isn't split apart
+      .outputOptions(
+        "-hls_segment_filename",
+        path.join(outputDir, "segment_%03d.ts")
+      )
+      .output(path.join(outputDir, "index.m3u8"))
+      .on("end", () => resolve())
+      .on("error", (err) =>
+        reject(`Error transcoding ${height}p: ${err.message}`)
+      )
+      .run();
+  });
+};
+
+/*
+  The master playlist lists every rendition so the player can pick one by bandwidth.
+  - `renditions` need `width`, `height`, `videoBitrate`, `audioBitrate` and the `playlistUrl` of their own playlist.
+*/
+export const buildHlsMasterPlaylist = (renditions) => {
+  const lines = ["#EXTM3U", "#EXT-X-VERSION:3"];
+  for (const rendition of renditions) {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      rendition.playlistUrl
+    );
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+/*
+  Saves one JPEG frame per timestamp (in seconds) into `outputDir`.
+  - Resolves with the file paths, ordered by timestamp.
+  - fluent-ffmpeg names the files itself (candidate_1.jpg, candidate_2.jpg, ...) and reports them with "filenames".
+*/
+export const extractVideoFrames = (videoPath, outputDir, timestamps) => {
+  return new Promise((resolve, reject) => {
+    let filePaths = [];
+    ffmpeg(videoPath)
+      .on("filenames", (fileNames) => {
+        filePaths = fileNames.map((fileName) => path.join(outputDir, fileName));
+      })
+      .on("end", () => resolve(filePaths))
+      .on("error", (err) => reject(`Error extracting frames: ${err.message}`))
+      .screenshots({
+        timestamps,
+        folder: outputDir,
+        filename: "candidate_%i.jpg",
+      });
+  });
+};
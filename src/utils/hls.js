@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { HLS_RENDITIONS } from "../consonants.js";
+import { buildHlsMasterPlaylist, transcodeToHlsRendition } from "./ffmpeg.js";
+import {
+  deleteStoredPrefix,
+  getStorage,
+  uploadFile,
+} from "./storage/storage.js";
+
+// segments are uploaded a few at a time, one by one is slow and all at once hits the backend's rate limit
+const UPLOAD_CONCURRENCY = 5;
+
+const getSegmentSeconds = () => Number(process.env.HLS_SEGMENT_SECONDS) || 6;
+
+const getWorkDirectory = () => process.env.HLS_WORK_DIR || "./uploads/work/hls";
+
+/*
+  Every HLS file of a video is stored under one key prefix, so they can be removed in one call.
+  - The folder name is random: nobody can guess the files of a video from its id.
+  - Later it is read back from the master playlist's key (`<folder>/master.m3u8`).
+*/
+const createHlsFolder = () => `hls/${crypto.randomBytes(12).toString("hex")}`;
+
+export const getHlsFolder = (hlsPlaylistKey) =>
+  path.posix.dirname(hlsPlaylistKey);
+
+/*
+  Local files under hls/ are not served by /media, players get them from the API instead
+  (GET /api/v1/videos/:videoId/hls/..., with the same access rules as the stream endpoint).
+  Those playlists refer to their renditions and segments by relative paths, which resolve
+  against the API URL; on the other backends they point at the uploaded files.
+*/
+const isServedByApi = () => getStorage().name === "local";
+
+export const getHlsApiUrl = (videoId, fileName) =>
+  `/api/v1/videos/${videoId}/hls/${fileName}`;
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/*
+  The renditions worth producing for a source of `width` x `height`:
+  - every rung of HLS_RENDITIONS up to the source height, upscaling only wastes bandwidth,
+  - a source smaller than the lowest rung gets a single rendition at its own height.
+  Widths keep the source aspect ratio (even numbers, like ffmpeg's `scale=-2:height`).
+*/
+export const selectRenditions = ({ width, height }) => {
+  const ladder = HLS_RENDITIONS.filter(
+    (rendition) => rendition.height <= height
+  );
+  const renditions = ladder.length
+    ? ladder
+    : [
+        {
+          ...HLS_RENDITIONS[0],
+          name: `${toEven(height)}p`,
+          height: toEven(height),
+        },
+      ];
+
+  return renditions.map((rendition) => ({
+    ...rendition,
+    width: toEven((width * rendition.height) / height),
+  }));
+};
+
+const uploadHlsFile = async (localPath, key) => {
+  const response = await uploadFile(localPath, key);
+  if (!response) {
+    throw new Error(`Storage Error: could not upload ${key}`);
+  }
+  return response;
+};
+
+/*
+  Uploads the segments of one rendition, then its playlist.
+  - The playlist ffmpeg wrote refers to segments by (relative) file name; those lines are replaced
+    with the uploaded URLs, so the playlist works wherever the storage backend serves it from.
+    Playlists the API serves keep the plain file name instead.
+*/
+const uploadRendition = async (renditionDir, folder) => {
+  const segmentNames = (await fs.promises.readdir(renditionDir)).filter(
+    (fileName) => fileName.endsWith(".ts")
+  );
+
+  const servedByApi = isServedByApi();
+  const segmentUrls = new Map();
+  for (let i = 0; i < segmentNames.length; i += UPLOAD_CONCURRENCY) {
+    await Promise.all(
+      segmentNames.slice(i, i + UPLOAD_CONCURRENCY).map(async (fileName) => {
+        const segment = await uploadHlsFile(
+          path.join(renditionDir, fileName),
+          `${folder}/${fileName}`
+        );
+        segmentUrls.set(fileName, servedByApi ? fileName : segment.url);
+      })
+    );
+  }
+
+  const playlistPath = path.join(renditionDir, "index.m3u8");
+  const playlist = await fs.promises.readFile(playlistPath, "utf8");
+  await fs.promises.writeFile(
+    playlistPath,
+    playlist
+      .split("\n")
+      .map((line) =>
+        line.startsWith("#")
+          ? line
+          : segmentUrls.get(path.basename(line.trim())) || line
+      )
+      .join("\n")
+  );
+
+  return await uploadHlsFile(playlistPath, `${folder}/index.m3u8`);
+};
+
+/*
+  Transcodes a local upload into the HLS ladder and uploads it to the storage backend.
+  - `metadata` is what getVideoMetadata() returned for the file.
+  - Resolves with the master playlist URL and key and the renditions, ready to be stored on the Video.
+  - The local file is left alone, the caller still uploads the original afterwards.
+  - On failure everything already uploaded for this video is removed again.
+*/
+export const createHlsPackage = async (videoPath, videoId, metadata) => {
+  const folder = createHlsFolder();
+  const servedByApi = isServedByApi();
+  const workDir = path.join(getWorkDirectory(), String(videoId));
+  const segmentSeconds = getSegmentSeconds();
+
+  try {
+    const renditions = [];
+    for (const rendition of selectRenditions(metadata)) {
+      const renditionDir = path.join(workDir, rendition.name);
+      await fs.promises.mkdir(renditionDir, { recursive: true });
+
+      // one rendition at a time, transcoding is CPU bound
+      await transcodeToHlsRendition(videoPath, renditionDir, rendition, {
+        segmentSeconds,
+        hasAudio: metadata.hasAudio,
+      });
+
+      const playlist = await uploadRendition(
+        renditionDir,
+        `${folder}/${rendition.name}`
+      );
+      renditions.push({
+        ...rendition,
+        playlistUrl: servedByApi
+          ? getHlsApiUrl(videoId, `${rendition.name}/index.m3u8`)
+          : playlist.url,
+        playlistKey: playlist.key,
+      });
+    }
+
+    const masterPath = path.join(workDir, "master.m3u8");
+    await fs.promises.writeFile(
+      masterPath,
+      buildHlsMasterPlaylist(
+        servedByApi
+          ? renditions.map((rendition) => ({
+              ...rendition,
+              playlistUrl: `${rendition.name}/index.m3u8`,
+            }))
+          : renditions
+      )
+    );
+    const master = await uploadHlsFile(masterPath, `${folder}/master.m3u8`);
+
+    return {
+      hlsPlaylist: servedByApi
+        ? getHlsApiUrl(videoId, "master.m3u8")
+        : master.url,
+      hlsPlaylistKey: master.key,
+      renditions: renditions.map((rendition) => ({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: (rendition.videoBitrate + rendition.audioBitrate) * 1000,
+        playlistUrl: rendition.playlistUrl,
+        playlistKey: rendition.playlistKey,
+      })),
+    };
+  } catch (error) {
+    await deleteStoredPrefix(`${folder}/`).catch(() => null);
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Removes every HLS file of a video, found by the key of its master playlist
+export const deleteHlsPackage = async (hlsPlaylistKey) => {
+  if (!hlsPlaylistKey) return null;
+  return await deleteStoredPrefix(`${getHlsFolder(hlsPlaylistKey)}/`);
+};
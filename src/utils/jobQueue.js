@@ -0,0 +1,185 @@
+import { Job } from "../models/job.model.js";
+import { startLockHeartbeat } from "./lockHeartbeat.js";
+
+/*
+  Background jobs persisted in MongoDB, so they survive restarts and run after the request returned.
+  - Handlers are registered per job type, a job's payload is passed to its handler.
+  - A failed attempt is retried with exponential backoff until `maxAttempts` is reached,
+    then the handler's `onFailure` gets the chance to clean up.
+  - Claiming a job is a single findOneAndUpdate, so several server instances can share the queue.
+  - While a handler runs its `lockedAt` is kept fresh, only a crashed worker's job is picked up again.
+*/
+const handlers = new Map();
+let workerStarted = false;
+let draining = false;
+
+const getRetryBaseSeconds = () =>
+  Number(process.env.JOB_RETRY_BASE_SECONDS) || 30;
+
+// A job that is "running" for longer than this is assumed to belong to a crashed worker
+const getLockTimeoutMs = () =>
+  (Number(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+// Well within the lock timeout, so a slow database write doesn't let a running job look abandoned
+const getLockHeartbeatMs = () => Math.min(60 * 1000, getLockTimeoutMs() / 3);
+
+const LOST_LOCK_MESSAGE = "the worker stopped during the final attempt";
+
+// 30s, 60s, 120s, ... after the 1st, 2nd, 3rd failed attempt
+export const getRetryDelayMs = (attempts) =>
+  getRetryBaseSeconds() * 1000 * 2 ** Math.max(attempts - 1, 0);
+
+export const registerJobHandler = (type, handler, { onFailure } = {}) => {
+  handlers.set(type, { handler, onFailure });
+};
+
+export const enqueueJob = async (type, payload, { maxAttempts } = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    ...(maxAttempts ? { maxAttempts } : {}),
+  });
+
+  // no need to wait for the next poll when this instance runs the worker
+  if (workerStarted) {
+    setImmediate(drainQueue);
+  }
+  return job;
+};
+
+// A crashed worker's job is only tried again while it has attempts left
+const claimNextJob = async () => {
+  const now = new Date();
+  return await Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        {
+          status: "running",
+          lockedAt: { $lt: new Date(now.getTime() - getLockTimeoutMs()) },
+          $expr: { $lt: ["$attempts", "$maxAttempts"] },
+        },
+      ],
+    },
+    {
+      $set: { status: "running", lockedAt: now },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/*
+  Jobs whose worker crashed during the final attempt: they can't be claimed again, so they are
+  marked failed here and their `onFailure` cleanup runs, like after any other final attempt.
+  The update is conditional on the stale lock, only one instance runs the cleanup.
+*/
+const failAbandonedJobs = async () => {
+  const abandonedJobs = await Job.find({
+    type: { $in: [...handlers.keys()] },
+    status: "running",
+    lockedAt: { $lt: new Date(Date.now() - getLockTimeoutMs()) },
+    $expr: { $gte: ["$attempts", "$maxAttempts"] },
+  });
+
+  for (const job of abandonedJobs) {
+    const result = await Job.updateOne(
+      { _id: job._id, status: "running", lockedAt: job.lockedAt },
+      {
+        $set: { status: "failed", lastError: LOST_LOCK_MESSAGE },
+        $unset: { lockedAt: 1 },
+      }
+    );
+    if (!result.modifiedCount) continue;
+
+    console.error(`Job ${job.type} ${job._id} failed: ${LOST_LOCK_MESSAGE}`);
+    const { onFailure } = handlers.get(job.type);
+    if (onFailure) {
+      await onFailure(job.payload, LOST_LOCK_MESSAGE, job).catch(
+        (cleanupError) =>
+          console.error(`Cleanup of job ${job._id} failed`, cleanupError)
+      );
+    }
+  }
+};
+
+/*
+  Runs a claimed job.
+  - The lock is refreshed while the handler runs, however long it takes.
+  - The final update only applies while the lock is still ours: if the job was taken over
+    (e.g. this process was stalled past the lock timeout), the other worker's run decides the outcome.
+*/
+const runJob = async (job) => {
+  const { handler, onFailure } = handlers.get(job.type);
+  const heartbeat = startLockHeartbeat(Job, job, getLockHeartbeatMs());
+  const releaseLock = async (update) => {
+    const result = await Job.updateOne(
+      { _id: job._id, lockedAt: await heartbeat.stop() },
+      { ...update, $unset: { lockedAt: 1 } }
+    );
+    if (!result.matchedCount) {
+      console.error(
+        `Job ${job.type} ${job._id} lost its lock, its result was discarded`
+      );
+    }
+    return result.matchedCount > 0;
+  };
+
+  try {
+    await handler(job.payload, job);
+    await releaseLock({
+      $set: { status: "completed", completedAt: new Date() },
+    });
+  } catch (error) {
+    // ffmpeg helpers reject with plain strings
+    const message = error?.message || String(error);
+    const finalAttempt = job.attempts >= job.maxAttempts;
+    console.error(
+      `Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts})`,
+      error
+    );
+
+    const released = await releaseLock({
+      $set: finalAttempt
+        ? { status: "failed", lastError: message }
+        : {
+            status: "queued",
+            lastError: message,
+            runAt: new Date(Date.now() + getRetryDelayMs(job.attempts)),
+          },
+    });
+
+    if (released && finalAttempt && onFailure) {
+      await onFailure(job.payload, message, job).catch((cleanupError) =>
+        console.error(`Cleanup of job ${job._id} failed`, cleanupError)
+      );
+    }
+  }
+};
+
+// Runs due jobs one after the other until none is left, most of them are CPU or upload heavy
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    await failAbandonedJobs();
+
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error("Job worker failed", error);
+  } finally {
+    draining = false;
+  }
+};
+
+export const startJobWorker = () => {
+  const intervalSeconds = Number(process.env.JOB_POLL_INTERVAL_SECONDS) || 5;
+  workerStarted = true;
+
+  drainQueue();
+  return setInterval(drainQueue, intervalSeconds * 1000);
+};
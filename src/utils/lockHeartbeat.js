@@ -0,0 +1,45 @@
+/*
+  Keeps the `lockedAt` of a claimed document fresh while long running work on it is in progress.
+  - Stale-lock recovery (a crashed worker's claim is picked up again after a timeout) only sees locks
+    whose heartbeat stopped, never one that is still being worked on, however long the work takes.
+  - Each beat only moves the lock this worker holds (`lockedAt` must still be the value it set last),
+    so a lock that was taken over is never claimed back.
+  - `stop()` resolves with the current `lockedAt`: final updates filter on it to make sure the lock
+    is still ours.
+*/
+export const startLockHeartbeat = (Model, { _id, lockedAt }, intervalMs) => {
+  let currentLock = lockedAt;
+  let pendingBeat = Promise.resolve();
+
+  const beat = async () => {
+    const nextLock = new Date();
+    try {
+      const result = await Model.updateOne(
+        { _id, lockedAt: currentLock },
+        { $set: { lockedAt: nextLock } }
+      );
+      if (result.matchedCount) {
+        currentLock = nextLock;
+      }
+    } catch (error) {
+      console.error(
+        `Refreshing the lock of ${Model.modelName} ${_id} failed`,
+        error
+      );
+    }
+  };
+
+  const timer = setInterval(() => {
+    pendingBeat = pendingBeat.then(beat);
+  }, intervalMs);
+  // a heartbeat alone shouldn't keep the process alive
+  timer.unref();
+
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      await pendingBeat;
+      return currentLock;
+    },
+  };
+};
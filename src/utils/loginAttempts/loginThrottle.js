@@ -0,0 +1,132 @@
+import { ApiError } from "../ApiError.js";
+import { createMemoryAttemptStore } from "./memory.store.js";
+
+/*
+  Brute-force protection for the login endpoints.
+  - Failed attempts are counted per account and per IP address.
+  - Once a counter reaches its threshold, every further failure locks it for twice as long
+    (base, 2x base, 4x base, ...) up to a maximum.
+  - A locked account answers 423 Locked, a throttled IP 429 Too Many Requests, both with Retry-After.
+*/
+let attemptStore = null;
+
+export const getAttemptStore = () => {
+  if (!attemptStore) {
+    attemptStore = createMemoryAttemptStore();
+  }
+  return attemptStore;
+};
+
+export const setAttemptStore = (store) => {
+  attemptStore = store;
+};
+
+const getPolicy = () => ({
+  maxAccountAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT) || 5,
+  maxIpAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  baseLockMs: (Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000,
+  maxLockMs: (Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60) * 1000,
+  // counters of an account/IP that stopped failing are forgotten after this
+  resetAfterMs: 24 * 60 * 60 * 1000,
+});
+
+const accountKey = (userId) => `account:${userId}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const lockDurationMs = (failures, threshold, policy) => {
+  if (failures < threshold) return 0;
+  return Math.min(
+    policy.baseLockMs * 2 ** (failures - threshold),
+    policy.maxLockMs
+  );
+};
+
+const remainingLockSeconds = (record) => {
+  if (!record?.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+};
+
+// Throws if the IP (and, when given, the account) is currently locked
+export const assertLoginAllowed = async (req, res, { userId } = {}) => {
+  const store = getAttemptStore();
+
+  const ipRecord = await store.get(ipKey(req.ip));
+  const ipRetryAfter = remainingLockSeconds(ipRecord);
+  if (ipRetryAfter > 0) {
+    res.set("Retry-After", String(ipRetryAfter));
+    throw new ApiError(
+      429,
+      `Too many failed login attempts, try again in ${ipRetryAfter} seconds`
+    );
+  }
+
+  if (!userId) return;
+
+  const accountRecord = await store.get(accountKey(userId));
+  const accountRetryAfter = remainingLockSeconds(accountRecord);
+  if (accountRetryAfter > 0) {
+    res.set("Retry-After", String(accountRetryAfter));
+    throw new ApiError(
+      423,
+      `Account is temporarily locked, try again in ${accountRetryAfter} seconds`
+    );
+  }
+};
+
+const registerFailure = async (key, threshold, policy) => {
+  const store = getAttemptStore();
+  const record = (await store.get(key)) || { failures: 0 };
+
+  const failures = record.failures + 1;
+  const lockMs = lockDurationMs(failures, threshold, policy);
+
+  await store.set(
+    key,
+    {
+      failures,
+      lastFailureAt: Date.now(),
+      lockedUntil: lockMs ? Date.now() + lockMs : null,
+    },
+    policy.resetAfterMs
+  );
+};
+
+export const recordLoginFailure = async (req, { userId } = {}) => {
+  const policy = getPolicy();
+
+  await registerFailure(ipKey(req.ip), policy.maxIpAttempts, policy);
+  if (userId) {
+    await registerFailure(
+      accountKey(userId),
+      policy.maxAccountAttempts,
+      policy
+    );
+  }
+};
+
+// Only a fully completed login (password and, if enabled, 2FA) clears the counters, of the account and of the IP.
+export const recordLoginSuccess = async (req, userId) => {
+  const store = getAttemptStore();
+  await store.delete(ipKey(req.ip));
+  await store.delete(accountKey(userId));
+};
+
+export const getLockedAccounts = async () => {
+  const entries = await getAttemptStore().entries();
+
+  return entries
+    .filter(
+      ([key, record]) =>
+        key.startsWith("account:") && remainingLockSeconds(record) > 0
+    )
+    .map(([key, record]) => ({
+      userId: key.slice("account:".length),
+      failures: record.failures,
+      lastFailureAt: new Date(record.lastFailureAt),
+      lockedUntil: new Date(record.lockedUntil),
+    }));
+};
+
+export const unlockAccount = async (userId) => {
+  await getAttemptStore().delete(accountKey(userId));
+};
@@ -0,0 +1,64 @@
+// Expired records are swept this often, and the store never holds more than MAX_RECORDS
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_RECORDS = 100000;
+
+/*
+  In-memory attempt store, fine for a single server instance.
+  Any object with the same async methods (e.g. one backed by Redis) can be plugged in with setAttemptStore().
+  - get(key) -> record | null
+  - set(key, record, ttlMs)
+  - delete(key)
+  - entries() -> [[key, record], ...]
+  Every IP and username that ever failed gets a record, so expired ones are swept periodically;
+  when the cap is reached anyway (e.g. an attack from many addresses) the least recently failed ones go first.
+*/
+export const createMemoryAttemptStore = () => {
+  const records = new Map();
+
+  const isExpired = (entry) => entry.expiresAt <= Date.now();
+
+  const sweep = () => {
+    for (const [key, entry] of records) {
+      if (isExpired(entry)) records.delete(key);
+    }
+  };
+  // a sweep alone shouldn't keep the process alive
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: "memory",
+    get: async (key) => {
+      const entry = records.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        records.delete(key);
+        return null;
+      }
+      return entry.record;
+    },
+    set: async (key, record, ttlMs) => {
+      // re-inserted, so the Map's order stays "least recently written first"
+      records.delete(key);
+      records.set(key, { record, expiresAt: Date.now() + ttlMs });
+
+      for (const oldestKey of records.keys()) {
+        if (records.size <= MAX_RECORDS) break;
+        records.delete(oldestKey);
+      }
+    },
+    delete: async (key) => {
+      records.delete(key);
+    },
+    entries: async () => {
+      const result = [];
+      for (const [key, entry] of records) {
+        if (isExpired(entry)) {
+          records.delete(key);
+        } else {
+          result.push([key, entry.record]);
+        }
+      }
+      return result;
+    },
+  };
+};
@@ -0,0 +1,12 @@
+// Prints every mail to the console instead of sending it (default transport in development)
+export const createConsoleTransport = () => {
+  return {
+    name: "console",
+    send: async (message) => {
+      console.log(
+        `\n📧 Mail to: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+      );
+      return { messageId: `console-${Date.now()}` };
+    },
+  };
+};
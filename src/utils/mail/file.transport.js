@@ -0,0 +1,26 @@
+import fs from "fs";
+import path from "path";
+
+/*
+  Writes every mail as a JSON file instead of sending it.
+  Handy for offline development and tests: open the file and follow the link inside.
+*/
+export const createFileTransport = (
+  directory = process.env.MAIL_FILE_DIR || "./.mail"
+) => {
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, date: new Date() }, null, 2)
+      );
+
+      return { messageId: fileName, path: filePath };
+    },
+  };
+};
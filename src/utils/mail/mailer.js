@@ -0,0 +1,44 @@
+import { createConsoleTransport } from "./console.transport.js";
+import { createFileTransport } from "./file.transport.js";
+import { createSmtpTransport } from "./smtp.transport.js";
+
+/*
+  A mail transport is any object of the shape `{ name, send: async (message) => info }`.
+  The one to use is picked with MAIL_TRANSPORT (smtp | file | console).
+*/
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let activeTransport = null;
+
+export const getMailTransport = () => {
+  // Created lazily, so the env variables are already loaded when we read them
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const createTransport = transports[name];
+
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    activeTransport = createTransport();
+  }
+  return activeTransport;
+};
+
+// Lets callers plug in their own transport (e.g. a fake one in tests)
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  return await getMailTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
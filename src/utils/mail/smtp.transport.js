@@ -0,0 +1,21 @@
+import nodemailer from "nodemailer";
+
+// Sends mail through a real SMTP server (configured with the SMTP_* env variables)
+export const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true", // true for port 465, false for STARTTLS
+    auth: process.env.SMTP_USER
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => await transporter.sendMail(message),
+  };
+};
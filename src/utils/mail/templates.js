@@ -0,0 +1,30 @@
+// Builds the link the user clicks in an email, e.g. `${CLIENT_URL}/reset-password?token=...`
+export const buildClientLink = (pathname, token) => {
+  const baseUrl = process.env.CLIENT_URL || "http://localhost:3000";
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+// User supplied values (like the full name) must not be able to inject markup into the html body
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const passwordResetMail = ({ fullName, link, expiresInMinutes }) => ({
+  subject: "Reset your password",
+  text: `Hi ${fullName},\n\nSomeone asked to reset the password of your account. If it was you, open the link below to choose a new one:\n\n${link}\n\nThe link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask for this, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(fullName)},</p><p>Someone asked to reset the password of your account. If it was you, click the link below to choose a new one:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>The link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask for this, you can ignore this email.</p>`,
+});
+
+export const emailVerificationMail = ({
+  fullName,
+  link,
+  expiresInMinutes,
+}) => ({
+  subject: "Verify your email address",
+  text: `Hi ${fullName},\n\nPlease confirm that this is your email address by opening the link below:\n\n${link}\n\nThe link expires in ${expiresInMinutes} minutes.`,
+  html: `<p>Hi ${escapeHtml(fullName)},</p><p>Please confirm that this is your email address by clicking the link below:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>The link expires in ${expiresInMinutes} minutes.</p>`,
+});
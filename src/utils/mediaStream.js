@@ -0,0 +1,85 @@
+import fs from "fs";
+import { pipeline } from "stream/promises";
+import { ApiError } from "./ApiError.js";
+import { statStoredFile } from "./storage/storage.js";
+import { getLocalFilePath } from "./storage/local.storage.js";
+
+// `If-Range` only allows the partial response when the file is still the one the client started with
+const isRangeStillValid = (req, stats) => {
+  const ifRange = req.get("If-Range");
+  if (!ifRange) return true;
+
+  // an entity tag (weak ones never match), or else an HTTP date
+  if (ifRange.includes('"')) {
+    return !ifRange.startsWith("W/") && ifRange === stats.etag;
+  }
+  // Last-Modified has whole seconds only
+  const lastModified = Math.floor(stats.lastModified.getTime() / 1000) * 1000;
+  return lastModified <= Date.parse(ifRange);
+};
+
+/*
+  Sends a file of the local storage backend, the way a static file server would:
+  - `Range: bytes=...` is answered with 206 Partial Content, so players can seek;
+    several ranges in one request are answered with the whole file (allowed by the spec, and rare).
+  - ETag and Last-Modified let players revalidate their cache (304 Not Modified).
+  - HEAD gets the headers only.
+  Access checks are up to the caller.
+*/
+export const sendLocalFile = async (req, res, key) => {
+  const stats = await statStoredFile(key);
+  if (!stats) {
+    throw new ApiError(404, "File not found");
+  }
+
+  res.set({
+    "Accept-Ranges": "bytes",
+    "Content-Type": stats.contentType,
+    "Last-Modified": stats.lastModified.toUTCString(),
+    ETag: stats.etag,
+    "Cache-Control": "private, max-age=0, must-revalidate",
+  });
+
+  // checks If-None-Match / If-Modified-Since against the headers set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+
+  const ranges =
+    req.get("Range") && isRangeStillValid(req, stats)
+      ? req.range(stats.size, { combine: true })
+      : undefined;
+
+  if (ranges === -1) {
+    // the range starts past the end of the file, the client learns the real size from Content-Range
+    return res.status(416).set("Content-Range", `bytes */${stats.size}`).end();
+  }
+
+  // a malformed header (-2) is ignored, like servers do, and the whole file is sent
+  if (Array.isArray(ranges) && ranges.type === "bytes" && ranges.length === 1) {
+    ({ start, end } = ranges[0]);
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+  } else {
+    res.status(200);
+  }
+
+  res.set("Content-Length", String(stats.size ? end - start + 1 : 0));
+  if (req.method === "HEAD" || !stats.size) {
+    return res.end();
+  }
+
+  try {
+    await pipeline(
+      fs.createReadStream(getLocalFilePath(key), { start, end }),
+      res
+    );
+  } catch (error) {
+    // players drop connections all the time when seeking, that is not an error
+    if (error.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+    if (!res.headersSent) throw error;
+    res.destroy(error);
+  }
+};
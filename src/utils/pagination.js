@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/*
+  Cursor (keyset) pagination shared by every list endpoint.
+  - Lists are sorted by stable keys that always end with `_id`, so ties can't be skipped or repeated.
+  - The cursor holds the sort values of the last item of the previous page; the next page starts right after it,
+    so items added in the meantime don't shift the pages like $skip did.
+  - Cursors are opaque to clients: base64url encoded JSON that also records which sort it belongs to.
+  - Every list responds with the same envelope: { items, nextCursor, hasMore }.
+*/
+
+// Makes sure `_id` is the last sort key (same direction as the previous key)
+export const withTieBreaker = (sort) => {
+  if ("_id" in sort) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions[directions.length - 1] ?? -1 };
+};
+
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: value.toString() };
+  }
+  return value ?? null;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.$date === "string") return new Date(value.$date);
+    if (
+      typeof value.$oid === "string" &&
+      mongoose.isValidObjectId(value.$oid)
+    ) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error("Unknown cursor value");
+  }
+  return value;
+};
+
+const getSortValue = (item, field) =>
+  typeof item.get === "function" ? item.get(field) : item[field];
+
+const encodeCursor = (sort, item) => {
+  const fields = Object.keys(sort);
+  const payload = {
+    keys: fields.join(","),
+    values: fields.map((field) => serializeValue(getSortValue(item, field))),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor, sort) => {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    payload.values = payload.values.map(deserializeValue);
+  } catch (error) {
+    throw new ApiError(400, "Invalid cursor");
+  }
+
+  // A cursor from a differently sorted list would silently return the wrong items
+  const fields = Object.keys(sort);
+  if (
+    payload.keys !== fields.join(",") ||
+    payload.values.length !== fields.length
+  ) {
+    throw new ApiError(
+      400,
+      "Cursor does not belong to this list or sort order"
+    );
+  }
+  return payload.values;
+};
+
+/*
+  Reads `limit` and `cursor` from the query string.
+  - `sort` is the sort of the list, `_id` is appended if it's missing.
+*/
+export const getPaginationParams = (
+  query,
+  sort,
+  { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}
+) => {
+  const stableSort = withTieBreaker(sort);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || defaultLimit, 1),
+    maxLimit
+  );
+
+  return {
+    sort: stableSort,
+    limit,
+    cursorValues: decodeCursor(query.cursor, stableSort),
+  };
+};
+
+/*
+  The filter that selects everything after the cursor, e.g. for { createdAt: -1, _id: -1 }:
+    createdAt < c  OR  (createdAt = c AND _id < id)
+*/
+export const buildCursorFilter = ({ sort, cursorValues }) => {
+  if (!cursorValues) return null;
+
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, index) => {
+      const condition = {};
+      fields.slice(0, index).forEach((previousField, previousIndex) => {
+        condition[previousField] = cursorValues[previousIndex];
+      });
+      condition[field] = {
+        [sort[field] < 0 ? "$lt" : "$gt"]: cursorValues[index],
+      };
+      return condition;
+    }),
+  };
+};
+
+// Stages for an aggregation: everything after the cursor, sorted, one extra item to know if there is more
+export const paginationStages = (params) => {
+  const cursorFilter = buildCursorFilter(params);
+  return [
+    ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+    { $sort: params.sort },
+    { $limit: params.limit + 1 },
+  ];
+};
+
+// Cuts the extra item off and builds the response envelope
+export const buildPage = (docs, { sort, limit }) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(sort, items[items.length - 1]) : null,
+    hasMore,
+  };
+};
+
+// Paginates a mongoose find() query (filters and populate already applied)
+export const paginateQuery = async (query, params) => {
+  const cursorFilter = buildCursorFilter(params);
+  if (cursorFilter) {
+    query.and([cursorFilter]);
+  }
+
+  const docs = await query.sort(params.sort).limit(params.limit + 1);
+  return buildPage(docs, params);
+};
+
+// Paginates an aggregation: `stages` filter the documents, `afterStages` only shape the items of the page
+export const paginateAggregate = async (
+  Model,
+  stages,
+  params,
+  afterStages = []
+) => {
+  const docs = await Model.aggregate([
+    ...stages,
+    ...paginationStages(params),
+    ...afterStages,
+  ]);
+  return buildPage(docs, params);
+};
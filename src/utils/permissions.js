@@ -0,0 +1,39 @@
+/*
+  Which role may do what.
+  - Permissions are "<resource>:<action>" strings, declared per route with requirePermission().
+  - Every role inherits the permissions of the roles below it.
+  - "*" means everything (admins).
+*/
+const userPermissions = [
+  "video:read",
+  "video:write",
+  "comment:read",
+  "comment:write",
+  "tweet:read",
+  "tweet:write",
+  "playlist:read",
+  "playlist:write",
+];
+
+// creators have the same permissions as users for now, the role marks channels we work with
+const creatorPermissions = [...userPermissions];
+
+const moderatorPermissions = [
+  ...creatorPermissions,
+  "video:moderate",
+  "comment:moderate",
+  "tweet:moderate",
+  "playlist:moderate",
+];
+
+export const ROLE_PERMISSIONS = {
+  user: userPermissions,
+  creator: creatorPermissions,
+  moderator: moderatorPermissions,
+  admin: ["*"],
+};
+
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes("*") || permissions.includes(permission);
+};
@@ -0,0 +1,20 @@
+import { ApiError } from "./ApiError.js";
+
+// A scheduled publish time from a request: any date string Date understands, as long as it is in the future
+export const parsePublishAt = (value) => {
+  const publishAt = new Date(value);
+
+  if (!value || Number.isNaN(publishAt.getTime())) {
+    throw new ApiError(400, "publishAt must be a valid date");
+  }
+  if (publishAt <= new Date()) {
+    throw new ApiError(400, "publishAt must be in the future");
+  }
+  return publishAt;
+};
+
+// Seconds until a scheduled video goes live (0 once it is due), null when it isn't scheduled
+export const getPublishCountdown = (video, now = new Date()) =>
+  video.publishAt
+    ? Math.max(0, Math.ceil((video.publishAt.getTime() - now.getTime()) / 1000))
+    : null;
@@ -0,0 +1,96 @@
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { ApiError } from "./ApiError.js";
+
+export const getUploadSessionDirectory = () =>
+  process.env.UPLOAD_SESSION_DIR || "./uploads/sessions";
+
+export const getMaxUploadSize = () =>
+  (Number(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10 * 1024) * 1024 * 1024;
+
+// A session expires once no chunk arrived for this long, every chunk pushes the expiry back
+export const getUploadSessionExpiry = () =>
+  new Date(
+    Date.now() +
+      (Number(process.env.UPLOAD_SESSION_EXPIRY_HOURS) || 24) * 60 * 60 * 1000
+  );
+
+// A chunk that has been "in progress" for longer than this belongs to a dead connection
+export const UPLOAD_LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// While a chunk is being received its lock is refreshed this often
+export const UPLOAD_LOCK_HEARTBEAT_MS = 60 * 1000;
+
+// The partial file keeps the original extension, so the processing job sees the same kind of file
+export const getUploadFilePath = (session) =>
+  path.join(
+    getUploadSessionDirectory(),
+    `${session._id}${path.extname(session.fileName).toLowerCase()}`
+  );
+
+export const createUploadFile = async (session) => {
+  await fs.promises.mkdir(getUploadSessionDirectory(), { recursive: true });
+  await fs.promises.writeFile(getUploadFilePath(session), "");
+};
+
+export const removeUploadFile = async (session) => {
+  await fs.promises.rm(getUploadFilePath(session), { force: true });
+};
+
+/*
+  Appends the body of a chunk request at `session.receivedBytes`.
+  - Whatever arrived before an interrupted request is kept, the client resumes from the returned offset.
+  - The file is cut back to the confirmed offset first, so bytes of a chunk that failed halfway
+    (and that the client will send again) are never counted twice.
+  - Resolves with `{ offset, error }`: the new offset and, if the stream broke, why.
+*/
+export const appendUploadChunk = async (session, stream) => {
+  const filePath = getUploadFilePath(session);
+  await fs.promises.truncate(filePath, session.receivedBytes);
+
+  let received = session.receivedBytes;
+  const sizeGuard = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > session.totalSize) {
+        callback(
+          new ApiError(413, "Chunk goes past the announced upload length")
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+
+  let error = null;
+  try {
+    await pipeline(
+      stream,
+      sizeGuard,
+      fs.createWriteStream(filePath, { flags: "a" })
+    );
+  } catch (streamError) {
+    error = streamError;
+  }
+
+  // the size on disk is the truth, not what we counted on the way
+  const { size } = await fs.promises.stat(filePath);
+  const offset = Math.min(size, session.totalSize);
+  if (size > offset) {
+    await fs.promises.truncate(filePath, offset);
+  }
+
+  return { offset, error };
+};
+
+// The tus-style headers every response about a session carries
+export const setUploadHeaders = (res, session) => {
+  res.set({
+    "Upload-Offset": String(session.receivedBytes),
+    "Upload-Length": String(session.totalSize),
+    "Upload-Expires": session.expiresAt.toUTCString(),
+    "Cache-Control": "no-store",
+  });
+};
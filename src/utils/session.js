@@ -0,0 +1,102 @@
+import jwt from "jsonwebtoken";
+import { Session } from "../models/session.model.js";
+import { hashToken } from "./crypto.js";
+
+const signSessionTokens = (user, session) => {
+  const accessToken = user.generateAccessToken(session._id);
+  const refreshToken = user.generateRefreshToken(session._id);
+
+  return {
+    accessToken,
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  };
+};
+
+// Signs the first access/refresh token pair of a new session and stores it with the hash of the refresh token.
+export const issueSessionTokens = async (user, session) => {
+  const { accessToken, refreshToken, refreshTokenHash, expiresAt } =
+    signSessionTokens(user, session);
+
+  session.refreshToken = refreshTokenHash;
+  session.expiresAt = expiresAt;
+  session.rotationCount = 0;
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { accessToken, refreshToken, session };
+};
+
+/*
+  Rotates the refresh token of an existing session, retiring the one that was presented.
+  - The swap only happens while the session still holds `presentedTokenHash` and isn't revoked,
+    so two refreshes racing with the same token can't both succeed.
+  - Resolves with null when the token was already rotated in the meantime: the caller treats that as reuse.
+*/
+export const rotateSessionTokens = async (
+  user,
+  session,
+  presentedTokenHash
+) => {
+  const { accessToken, refreshToken, refreshTokenHash, expiresAt } =
+    signSessionTokens(user, session);
+
+  const rotatedSession = await Session.findOneAndUpdate(
+    { _id: session._id, refreshToken: presentedTokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshToken: refreshTokenHash,
+        expiresAt,
+        lastUsedAt: new Date(),
+      },
+      $inc: { rotationCount: 1 },
+    },
+    { new: true }
+  );
+  if (!rotatedSession) return null;
+
+  return { accessToken, refreshToken, session: rotatedSession };
+};
+
+// Every login creates its own session, so signing in on a phone doesn't sign out the laptop.
+export const createSession = async (user, req) => {
+  const userAgent = req.get("user-agent") || "";
+  // optional, anything that isn't a string is ignored rather than failing the login
+  const deviceLabel =
+    typeof req.body?.deviceLabel === "string"
+      ? req.body.deviceLabel.trim()
+      : "";
+
+  const session = new Session({
+    user: user._id,
+    deviceLabel: deviceLabel || userAgent.slice(0, 100) || undefined,
+    userAgent,
+    ip: req.ip,
+  });
+
+  return await issueSessionTokens(user, session);
+};
+
+// Revokes every still-active session matching `filter` (e.g. all sessions of a user).
+export const revokeSessions = async (filter, reason = "revoked") => {
+  return await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/*
+  A retired refresh token came back, so either the legitimate client or an attacker holds a stolen copy.
+  We can't tell which one, so the whole token family (the session) is revoked and the event is recorded on it.
+*/
+export const revokeReusedSession = async (session, req) => {
+  session.revokedAt = session.revokedAt || new Date();
+  session.revokedReason = "refresh_token_reuse";
+  session.reuseDetected = {
+    at: new Date(),
+    ip: req.ip,
+    userAgent: req.get("user-agent") || "",
+  };
+  await session.save();
+};
@@ -0,0 +1,91 @@
+import path from "path";
+import { cloudinary } from "../cloudinary.js";
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif"];
+const VIDEO_EXTENSIONS = [".mp4", ".m4v", ".mov", ".webm", ".mkv", ".avi"];
+
+/*
+  Cloudinary splits assets by resource type and leaves the extension out of image and video public ids:
+  - "thumbnails/abc/candidate_1.jpg" -> image "thumbnails/abc/candidate_1"
+  - "videos/abc/source.mp4"          -> video "videos/abc/source"
+  - "hls/abc/720p/index.m3u8"        -> raw   "hls/abc/720p/index.m3u8" (raw keeps it, and isn't processed)
+*/
+const toCloudinaryAsset = (key) => {
+  const extension = path.extname(key).toLowerCase();
+  const withoutExtension = key.slice(0, key.length - extension.length);
+
+  if (IMAGE_EXTENSIONS.includes(extension)) {
+    return { resourceType: "image", publicId: withoutExtension };
+  }
+  if (VIDEO_EXTENSIONS.includes(extension)) {
+    return { resourceType: "video", publicId: withoutExtension };
+  }
+  return { resourceType: "raw", publicId: key };
+};
+
+export const createCloudinaryStorage = () => {
+  return {
+    name: "cloudinary",
+
+    upload: async (localFilePath, key) => {
+      const { resourceType, publicId } = toCloudinaryAsset(key);
+      const response = await cloudinary.uploader.upload(localFilePath, {
+        resource_type: resourceType,
+        public_id: publicId,
+        overwrite: true,
+      });
+      return { key, url: response.secure_url, size: response.bytes };
+    },
+
+    delete: async (key) => {
+      const { resourceType, publicId } = toCloudinaryAsset(key);
+      await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        invalidate: true,
+      });
+    },
+
+    // a prefix can hold every kind of asset, so each resource type is cleared
+    deletePrefix: async (prefix) => {
+      for (const resourceType of ["image", "video", "raw"]) {
+        await cloudinary.api.delete_resources_by_prefix(prefix, {
+          resource_type: resourceType,
+          invalidate: true,
+        });
+      }
+    },
+
+    /*
+      Uploaded assets are public on Cloudinary, the signature only protects the URL from being altered
+      (transformations), so it doesn't expire like the other backends' signed URLs.
+    */
+    getSignedUrl: async (key) => {
+      const { resourceType, publicId } = toCloudinaryAsset(key);
+      const extension = path.extname(key).slice(1);
+      return cloudinary.url(publicId, {
+        resource_type: resourceType,
+        secure: true,
+        sign_url: true,
+        ...(resourceType !== "raw" && extension ? { format: extension } : {}),
+      });
+    },
+
+    stat: async (key) => {
+      const { resourceType, publicId } = toCloudinaryAsset(key);
+      try {
+        const resource = await cloudinary.api.resource(publicId, {
+          resource_type: resourceType,
+        });
+        return {
+          size: resource.bytes,
+          contentType: null, // Cloudinary only knows the format, utils/storage maps keys to types
+          lastModified: new Date(resource.created_at),
+          etag: resource.etag ? `"${resource.etag}"` : null,
+        };
+      } catch (error) {
+        if (error?.error?.http_code === 404) return null;
+        throw error;
+      }
+    },
+  };
+};
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const getLocalStorageDirectory = () =>
+  path.resolve(process.env.STORAGE_LOCAL_DIR || "./uploads/media");
+
+// Where app.js serves the directory from, e.g. "http://localhost:8000/media"
+const getLocalBaseUrl = () =>
+  (process.env.STORAGE_LOCAL_BASE_URL || "/media").replace(/\/+$/, "");
+
+const getSigningSecret = () =>
+  process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+/*
+  Maps a key to its file, refusing keys that would escape the storage directory ("../../etc/passwd").
+*/
+export const getLocalFilePath = (key) => {
+  const root = getLocalStorageDirectory();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+const signKey = (key, expires) =>
+  crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex");
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+// True when `expires` and `signature` were issued by getSignedUrl for `key` and are still valid
+export const verifyLocalSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(signKey(key, expires));
+  const given = Buffer.from(String(signature));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+/*
+  Stores files in a local directory, for offline development or a single server with a big disk.
+  - ETags are derived from size and modification time, like most static file servers do.
+*/
+export const createLocalStorage = () => {
+  return {
+    name: "local",
+
+    upload: async (localFilePath, key) => {
+      const filePath = getLocalFilePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(localFilePath, filePath);
+
+      const { size } = await fs.promises.stat(filePath);
+      return { key, url: `${getLocalBaseUrl()}/${encodeKey(key)}`, size };
+    },
+
+    delete: async (key) => {
+      await fs.promises.rm(getLocalFilePath(key), { force: true });
+    },
+
+    deletePrefix: async (prefix) => {
+      await fs.promises.rm(getLocalFilePath(prefix), {
+        recursive: true,
+        force: true,
+      });
+    },
+
+    getSignedUrl: async (key, { expiresInSeconds }) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      return `${getLocalBaseUrl()}/${encodeKey(key)}?expires=${expires}&signature=${signKey(key, expires)}`;
+    },
+
+    stat: async (key) => {
+      try {
+        const stats = await fs.promises.stat(getLocalFilePath(key));
+        if (!stats.isFile()) return null;
+        return {
+          size: stats.size,
+          contentType: null, // derived from the key by utils/storage
+          lastModified: stats.mtime,
+          etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+  };
+};
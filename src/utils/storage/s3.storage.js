@@ -0,0 +1,345 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// Files above this are sent in parts, a single PUT is limited to 5 GB
+const MULTIPART_THRESHOLD = 100 * 1024 * 1024;
+const PART_SIZE = 64 * 1024 * 1024;
+
+// The body isn't hashed (it may be gigabytes), S3 and S3-compatible servers accept that
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+const getS3Config = () => {
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = (
+    process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+  ).replace(/\/+$/, "");
+  const bucket = process.env.S3_BUCKET;
+
+  return {
+    region,
+    endpoint,
+    bucket,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // public base URL of the bucket (a CDN, or the bucket itself when it allows public reads)
+    publicUrl: (process.env.S3_PUBLIC_URL || `${endpoint}/${bucket}`).replace(
+      /\/+$/,
+      ""
+    ),
+  };
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const hmac = (key, data) =>
+  crypto.createHmac("sha256", key).update(data).digest();
+
+// Percent-encoding the way Signature V4 expects it (RFC 3986, encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const encodeKey = (key) => key.split("/").map(encodeRfc3986).join("/");
+
+const toQueryString = (query) =>
+  Object.keys(query)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join("&");
+
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+/*
+  AWS Signature Version 4, computed by hand so no SDK is needed:
+  canonical request -> string to sign -> HMAC chain over date, region and service.
+  - `headers` must be lower-cased and include `host`; all of them are signed.
+  - Works for S3 itself and for S3-compatible servers (MinIO, R2, ...), with path-style URLs.
+*/
+export const computeSignatureV4 = ({
+  method,
+  canonicalUri,
+  query = {},
+  headers,
+  payloadHash,
+  amzDate,
+  region,
+  secretAccessKey,
+}) => {
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const headerNames = Object.keys(headers).sort();
+  const signedHeaders = headerNames.join(";");
+
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    toQueryString(query),
+    headerNames
+      .map((name) => `${name}:${String(headers[name]).trim()}\n`)
+      .join(""),
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+
+  return {
+    scope,
+    signedHeaders,
+    signature: crypto
+      .createHmac("sha256", signingKey)
+      .update(stringToSign)
+      .digest("hex"),
+  };
+};
+
+const s3Request = async (
+  config,
+  {
+    method,
+    key = "",
+    query = {},
+    headers = {},
+    body,
+    payloadHash = UNSIGNED_PAYLOAD,
+    allowNotFound = false,
+  }
+) => {
+  const canonicalUri = `/${config.bucket}${key ? `/${encodeKey(key)}` : ""}`;
+  const url = new URL(`${config.endpoint}${canonicalUri}`);
+  const queryString = toQueryString(query);
+  const amzDate = toAmzDate(new Date());
+
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const signature = computeSignatureV4({
+    method,
+    canonicalUri,
+    query,
+    headers: signedHeaders,
+    payloadHash,
+    amzDate,
+    region: config.region,
+    secretAccessKey: config.secretAccessKey,
+  });
+
+  // fetch sets `host` itself (from the URL), sending it explicitly isn't allowed
+  const { host, ...requestHeaders } = signedHeaders;
+  const response = await fetch(
+    `${config.endpoint}${canonicalUri}${queryString ? `?${queryString}` : ""}`,
+    {
+      method,
+      headers: {
+        ...requestHeaders,
+        authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${signature.scope}, SignedHeaders=${signature.signedHeaders}, Signature=${signature.signature}`,
+      },
+      body,
+      ...(body ? { duplex: "half" } : {}), // needed for streamed bodies
+    }
+  );
+
+  if (allowNotFound && response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(
+      `S3 ${method} ${key || config.bucket} failed with ${response.status}: ${await response.text()}`
+    );
+  }
+  return response;
+};
+
+const readXmlValues = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, "g"))].map((match) =>
+    match[1]
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&")
+  );
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Big files go up in PART_SIZE pieces, an aborted upload is cleaned up so its parts aren't billed
+const multipartUpload = async (
+  config,
+  localFilePath,
+  key,
+  size,
+  contentType
+) => {
+  const created = await s3Request(config, {
+    method: "POST",
+    key,
+    query: { uploads: "" },
+    headers: { "content-type": contentType },
+  });
+  const [uploadId] = readXmlValues(await created.text(), "UploadId");
+
+  try {
+    const parts = [];
+    for (
+      let start = 0, partNumber = 1;
+      start < size;
+      start += PART_SIZE, partNumber++
+    ) {
+      const end = Math.min(start + PART_SIZE, size) - 1;
+      const response = await s3Request(config, {
+        method: "PUT",
+        key,
+        query: { partNumber: String(partNumber), uploadId },
+        headers: { "content-length": String(end - start + 1) },
+        body: fs.createReadStream(localFilePath, { start, end }),
+      });
+      parts.push({ partNumber, etag: response.headers.get("etag") });
+    }
+
+    const completeBody = `<CompleteMultipartUpload>${parts
+      .map(
+        ({ partNumber, etag }) =>
+          `<Part><PartNumber>${partNumber}</PartNumber><ETag>${escapeXml(etag)}</ETag></Part>`
+      )
+      .join("")}</CompleteMultipartUpload>`;
+    await s3Request(config, {
+      method: "POST",
+      key,
+      query: { uploadId },
+      headers: { "content-type": "application/xml" },
+      body: completeBody,
+      payloadHash: sha256(completeBody),
+    });
+  } catch (error) {
+    await s3Request(config, {
+      method: "DELETE",
+      key,
+      query: { uploadId },
+    }).catch(() => null);
+    throw error;
+  }
+};
+
+/*
+  Stores files in an S3 bucket, or any server speaking the S3 API (e.g. a local MinIO for development).
+  - Configured with S3_ENDPOINT, S3_REGION, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and S3_PUBLIC_URL.
+*/
+export const createS3Storage = () => {
+  const config = getS3Config();
+
+  return {
+    name: "s3",
+
+    upload: async (localFilePath, key, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(localFilePath);
+      const type = contentType || "application/octet-stream";
+
+      if (size > MULTIPART_THRESHOLD) {
+        await multipartUpload(config, localFilePath, key, size, type);
+      } else {
+        await s3Request(config, {
+          method: "PUT",
+          key,
+          headers: { "content-type": type, "content-length": String(size) },
+          body: fs.createReadStream(localFilePath),
+        });
+      }
+      return { key, url: `${config.publicUrl}/${encodeKey(key)}`, size };
+    },
+
+    delete: async (key) => {
+      await s3Request(config, { method: "DELETE", key, allowNotFound: true });
+    },
+
+    deletePrefix: async (prefix) => {
+      let continuationToken = null;
+      do {
+        const response = await s3Request(config, {
+          method: "GET",
+          query: {
+            "list-type": "2",
+            prefix,
+            ...(continuationToken
+              ? { "continuation-token": continuationToken }
+              : {}),
+          },
+        });
+        const xml = await response.text();
+
+        for (const key of readXmlValues(xml, "Key")) {
+          await s3Request(config, {
+            method: "DELETE",
+            key,
+            allowNotFound: true,
+          });
+        }
+        [continuationToken = null] = readXmlValues(
+          xml,
+          "NextContinuationToken"
+        );
+      } while (continuationToken);
+    },
+
+    // A presigned GET: works for private buckets until it expires (at most 7 days)
+    getSignedUrl: async (key, { expiresInSeconds }) => {
+      const canonicalUri = `/${config.bucket}/${encodeKey(key)}`;
+      const amzDate = toAmzDate(new Date());
+      const query = {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(Math.min(expiresInSeconds, 7 * 24 * 60 * 60)),
+        "X-Amz-SignedHeaders": "host",
+      };
+      const { signature } = computeSignatureV4({
+        method: "GET",
+        canonicalUri,
+        query,
+        headers: { host: new URL(config.endpoint).host },
+        payloadHash: UNSIGNED_PAYLOAD,
+        amzDate,
+        region: config.region,
+        secretAccessKey: config.secretAccessKey,
+      });
+
+      return `${config.endpoint}${canonicalUri}?${toQueryString({
+        ...query,
+        "X-Amz-Signature": signature,
+      })}`;
+    },
+
+    stat: async (key) => {
+      const response = await s3Request(config, {
+        method: "HEAD",
+        key,
+        allowNotFound: true,
+      });
+      if (!response) return null;
+
+      return {
+        size: Number(response.headers.get("content-length")),
+        contentType: response.headers.get("content-type"),
+        lastModified: new Date(response.headers.get("last-modified")),
+        etag: response.headers.get("etag"),
+      };
+    },
+  };
+};
@@ -0,0 +1,124 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createCloudinaryStorage } from "./cloudinary.storage.js";
+import { createLocalStorage } from "./local.storage.js";
+import { createS3Storage } from "./s3.storage.js";
+import { deleteFromCloudinary } from "../cloudinary.js";
+
+/*
+  A storage backend is any object of the shape:
+    {
+      name,
+      upload: async (localFilePath, key, { contentType }) => ({ key, url, size }),
+      delete: async (key) => {},
+      deletePrefix: async (prefix) => {},      // e.g. every HLS file of a video
+      getSignedUrl: async (key, { expiresInSeconds }) => url,
+      stat: async (key) => ({ size, contentType, lastModified, etag }) | null,
+    }
+  The one to use is picked with STORAGE_BACKEND (cloudinary | local | s3).
+  Keys look like "videos/3f9c...e1.mp4" (random, see buildStorageKey); models store the key next to the URL,
+  so assets can be copied to another backend later and their URLs rebuilt from the keys.
+*/
+const backends = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let activeStorage = null;
+
+export const getStorage = () => {
+  // Created lazily, so the env variables are already loaded when we read them
+  if (!activeStorage) {
+    const name = process.env.STORAGE_BACKEND || "cloudinary";
+    const createStorage = backends[name];
+
+    if (!createStorage) {
+      throw new Error(`Unknown storage backend "${name}"`);
+    }
+    activeStorage = createStorage();
+  }
+  return activeStorage;
+};
+
+// Lets callers plug in their own backend (e.g. a fake one in tests)
+export const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".avi": "video/x-msvideo",
+  ".ts": "video/mp2t",
+  ".m3u8": "application/vnd.apple.mpegurl",
+};
+
+export const getContentType = (key) =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+// A fresh key in `folder` that keeps the file's extension, e.g. "avatars/3f9c...e1.png"
+export const buildStorageKey = (folder, localFilePath) =>
+  `${folder}/${crypto.randomBytes(12).toString("hex")}${path
+    .extname(localFilePath || "")
+    .toLowerCase()}`;
+
+/*
+  Uploads a local file under `key` with the configured backend.
+  - Like the old uploadonCloudinary: resolves with null instead of throwing when the upload fails,
+    and removes the local temp file unless `keepLocalFile` is set (for uploads that may be retried).
+*/
+export const uploadFile = async (
+  localFilePath,
+  key,
+  { keepLocalFile = false } = {}
+) => {
+  if (!localFilePath) return null;
+
+  try {
+    return await getStorage().upload(localFilePath, key, {
+      contentType: getContentType(key),
+    });
+  } catch (error) {
+    console.error(`Uploading ${key} failed`, error);
+    return null;
+  } finally {
+    if (!keepLocalFile) {
+      await fs.promises.rm(localFilePath, { force: true });
+    }
+  }
+};
+
+/*
+  Removes an asset stored under `key`.
+  - Assets uploaded before storage keys existed only have a Cloudinary URL, those are removed by URL.
+*/
+export const deleteStoredFile = async ({ key, url } = {}) => {
+  if (key) return await getStorage().delete(key);
+  if (url) return await deleteFromCloudinary(url);
+  return null;
+};
+
+export const deleteStoredPrefix = async (prefix) =>
+  await getStorage().deletePrefix(prefix);
+
+export const getSignedFileUrl = async (key, { expiresInSeconds = 3600 } = {}) =>
+  await getStorage().getSignedUrl(key, { expiresInSeconds });
+
+// Size, type, modification date and ETag of a stored file, null when it doesn't exist
+export const statStoredFile = async (key) => {
+  const stats = await getStorage().stat(key);
+  return (
+    stats && { ...stats, contentType: stats.contentType || getContentType(key) }
+  );
+};
@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import { THUMBNAIL_CANDIDATE_POSITIONS } from "../consonants.js";
+import { extractVideoFrames } from "./ffmpeg.js";
+import {
+  buildStorageKey,
+  deleteStoredFile,
+  uploadFile,
+} from "./storage/storage.js";
+
+const getWorkDirectory = () =>
+  process.env.THUMBNAIL_WORK_DIR || "./uploads/work/thumbnails";
+
+/*
+  Takes candidate frames spread over the video and uploads them to the storage backend.
+  - The default is the candidate with the largest JPEG: more detail compresses worse,
+    so this skips black fades and plain title cards without any image analysis.
+  - Resolves with the default `thumbnail` ({ url, key }) and all `thumbnailCandidates` (in video order).
+  - The local video file is left alone.
+*/
+export const createThumbnailCandidates = async (
+  videoPath,
+  videoId,
+  duration
+) => {
+  const workDir = path.join(getWorkDirectory(), String(videoId));
+  const timestamps = THUMBNAIL_CANDIDATE_POSITIONS.map(
+    (position) => Math.round(duration * position * 100) / 100
+  );
+
+  const thumbnailCandidates = [];
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+    const framePaths = await extractVideoFrames(videoPath, workDir, timestamps);
+
+    // sizes are read before uploading, the upload removes the local file
+    const frameSizes = await Promise.all(
+      framePaths.map(
+        async (framePath) => (await fs.promises.stat(framePath)).size
+      )
+    );
+    const defaultIndex = frameSizes.indexOf(Math.max(...frameSizes));
+
+    for (const framePath of framePaths) {
+      // random names, the frames of an unpublished video can't be guessed from its id
+      const frame = await uploadFile(
+        framePath,
+        buildStorageKey(`thumbnails/${videoId}`, framePath)
+      );
+      if (!frame) {
+        throw new Error("Storage Error: could not upload thumbnail candidate");
+      }
+      thumbnailCandidates.push({ url: frame.url, key: frame.key });
+    }
+
+    return {
+      thumbnail: thumbnailCandidates[defaultIndex],
+      thumbnailCandidates,
+    };
+  } catch (error) {
+    await deleteThumbnailCandidates(thumbnailCandidates).catch(() => null);
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// A video keeps candidate URLs and keys in two arrays, this pairs them up again as { url, key }
+export const getThumbnailCandidates = (video) =>
+  (video.thumbnailCandidates || []).map((url, index) => ({
+    url,
+    key: video.thumbnailCandidateKeys?.[index],
+  }));
+
+export const deleteThumbnailCandidates = async (candidates = []) => {
+  for (const candidate of candidates) {
+    await deleteStoredFile(candidate);
+  }
+};
+
+/*
+  Deletes the stored file of `video`'s current thumbnail, once it was replaced or the video is deleted.
+  - A picked candidate is left alone, it goes with the other candidates.
+*/
+export const deleteVideoThumbnail = async (video) => {
+  const isCandidate = getThumbnailCandidates(video).some(
+    (candidate) =>
+      (video.thumbnailKey && candidate.key === video.thumbnailKey) ||
+      candidate.url === video.thumbnail
+  );
+  if (isCandidate) return null;
+
+  return await deleteStoredFile({
+    key: video.thumbnailKey,
+    url: video.thumbnail,
+  });
+};
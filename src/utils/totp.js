@@ -0,0 +1,117 @@
+import crypto from "crypto";
+
+/*
+  Time-based one-time passwords (RFC 6238), the codes shown by authenticator apps.
+  - The shared secret is exchanged as base32 (inside the otpauth:// uri / QR code).
+  - A code is HMAC-SHA1(secret, number of 30 second steps since the epoch), truncated to 6 digits.
+*/
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1; // keep only the bits that haven't been written yet
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in TOTP secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+    value &= (1 << bits) - 1;
+  }
+  return Buffer.from(bytes);
+};
+
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // "dynamic truncation" from RFC 4226
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return code.toString().padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const generateTotp = (secret, now = Date.now()) => {
+  return generateHotp(secret, currentStep(now));
+};
+
+/*
+  Returns the time step the code belongs to, or null if the code is wrong.
+  - `window` steps before and after now are accepted, to tolerate clock drift between phone and server.
+  - Steps up to `lastUsedStep` are rejected, so a code can't be used twice.
+*/
+export const verifyTotp = (
+  secret,
+  code,
+  { window = 1, lastUsedStep = -1, now = Date.now() } = {}
+) => {
+  const normalizedCode = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== DIGITS) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let candidate = step - window; candidate <= step + window; candidate++) {
+    if (candidate <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, candidate);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))
+    ) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// The uri authenticator apps understand (usually rendered as a QR code by the client)
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
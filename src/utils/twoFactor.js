@@ -0,0 +1,99 @@
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.model.js";
+import { generateRandomToken, hashToken } from "./crypto.js";
+import { verifyTotp } from "./totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// Recovery codes are compared without dashes/spaces and case-insensitively ("ab12-cd34" == "AB12CD34")
+const normalizeRecoveryCode = (code) =>
+  String(code ?? "")
+    .replace(/[\s-]/g, "")
+    .toLowerCase();
+
+// Returns the plain codes (shown to the user exactly once) and the hashes to store on the user
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = generateRandomToken(5);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  const hashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+
+  return { codes, hashes };
+};
+
+export const findUserWithTwoFactorSecrets = async (userId) => {
+  return await User.findById(userId).select(TWO_FACTOR_FIELDS);
+};
+
+/*
+  Checks the second factor of a user that has 2FA enabled, either a TOTP `code` or a `recoveryCode`.
+  - Both are single use; the conditional updates below make sure two parallel requests can't redeem the same one.
+  - `user` must be loaded with findUserWithTwoFactorSecrets.
+*/
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep,
+    });
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $exists: false } },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.recoveryCodes": hashToken(
+          normalizeRecoveryCode(recoveryCode)
+        ),
+      },
+      {
+        $pull: {
+          "twoFactor.recoveryCodes": hashToken(
+            normalizeRecoveryCode(recoveryCode)
+          ),
+        },
+      }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+/*
+  Short-lived token handed out by loginUser after a correct password when 2FA is on.
+  It proves the first step only; it is signed with its own secret so it can never pass as an access token.
+*/
+export const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { _id: user._id, purpose: "2fa_login" },
+    process.env.TWO_FACTOR_CHALLENGE_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m" }
+  );
+};
+
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  const decoded = jwt.verify(
+    challengeToken,
+    process.env.TWO_FACTOR_CHALLENGE_SECRET
+  );
+  if (decoded?.purpose !== "2fa_login") {
+    throw new Error("Invalid two-factor challenge");
+  }
+  return decoded;
+};
@@ -0,0 +1,42 @@
+import { UserRelation } from "../models/userRelation.model.js";
+import { ApiError } from "./ApiError.js";
+
+// True when `ownerId` has blocked `userId`
+export const isBlockedBy = async (ownerId, userId) => {
+  if (!ownerId || !userId) return false;
+  if (ownerId.toString() === userId.toString()) return false;
+
+  return Boolean(
+    await UserRelation.exists({ user: ownerId, target: userId, type: "block" })
+  );
+};
+
+/*
+  Stops `userId` from interacting with content that belongs to `ownerId`.
+  - The message stays generic so it doesn't matter much which side did the blocking.
+*/
+export const assertNotBlocked = async (
+  ownerId,
+  userId,
+  message = "You can't interact with this user"
+) => {
+  if (await isBlockedBy(ownerId, userId)) {
+    throw new ApiError(403, message);
+  }
+};
+
+/*
+  Users whose comments and tweets should not show up in `userId`'s feeds:
+  - everyone `userId` muted or blocked, and
+  - everyone who blocked `userId` (they don't want to be seen by them).
+*/
+export const getHiddenUserIds = async (userId) => {
+  if (!userId) return [];
+
+  const [ownRelations, blockedBy] = await Promise.all([
+    UserRelation.find({ user: userId }).distinct("target"),
+    UserRelation.find({ target: userId, type: "block" }).distinct("user"),
+  ]);
+
+  return [...ownRelations, ...blockedBy];
+};
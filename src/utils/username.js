@@ -0,0 +1,47 @@
+import { User } from "../models/user.model.js";
+import { UsernameHistory } from "../models/usernameHistory.model.js";
+import { RESERVED_USERNAMES } from "../consonants.js";
+
+const USERNAME_PATTERN = /^[a-z0-9._]{3,30}$/;
+
+// Returns an error message for a handle that can't be used at all, or null if the format is fine
+export const validateUsernameFormat = (username) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    return "Username must be 3-30 characters of lowercase letters, numbers, dots or underscores";
+  }
+  if (RESERVED_USERNAMES.includes(username)) {
+    return "This username is reserved";
+  }
+  return null;
+};
+
+/*
+  A handle is taken when:
+  - another user currently has it, or
+  - another user gave it up less than the cooling-off period ago.
+  Users can always take back a handle they used themselves.
+*/
+export const isUsernameAvailable = async (username, userId = null) => {
+  const currentOwner = await User.exists({
+    username,
+    ...(userId ? { _id: { $ne: userId } } : {}),
+  });
+  if (currentOwner) return false;
+
+  const reservation = await UsernameHistory.exists({
+    username,
+    reservedUntil: { $gt: new Date() },
+    ...(userId ? { user: { $ne: userId } } : {}),
+  });
+  return !reservation;
+};
+
+// The user that most recently gave up `username`, if they still exist
+export const findUserByPreviousHandle = async (username) => {
+  const previous = await UsernameHistory.findOne({ username }).sort({
+    changedAt: -1,
+  });
+  if (!previous) return null;
+
+  return await User.findById(previous.user).select("username");
+};
@@ -0,0 +1,198 @@
+import fs from "fs";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { getVideoMetadata } from "./ffmpeg.js";
+import { createHlsPackage, deleteHlsPackage } from "./hls.js";
+import {
+  createThumbnailCandidates,
+  deleteThumbnailCandidates,
+} from "./thumbnails.js";
+import {
+  buildStorageKey,
+  deleteStoredFile,
+  uploadFile,
+} from "./storage/storage.js";
+
+export const getUploadStagingDirectory = () =>
+  process.env.UPLOAD_STAGING_DIR || "./uploads/staging";
+
+// Videos uploaded before processing existed have no status, they count as ready
+export const READY_VIDEO_FILTER = {
+  processingStatus: { $in: ["ready", null] },
+};
+
+export const isVideoReady = (video) =>
+  !video.processingStatus || video.processingStatus === "ready";
+
+// Where stageVideoUpload() puts a file, e.g. "./uploads/staging/<videoId>/source.mp4"
+export const getStagedFilePath = (videoId, filePath, name) =>
+  path.join(
+    getUploadStagingDirectory(),
+    String(videoId),
+    `${name}${path.extname(filePath)}`
+  );
+
+/*
+  Moves the uploaded files out of multer's temp folder into a folder of their own.
+  - multer keeps the original file names, two uploads of "video.mp4" would overwrite each other
+    while they wait for processing.
+  - Resolves with the new paths, `thumbnail` is null when none was uploaded.
+*/
+export const stageVideoUpload = async (
+  videoId,
+  videoFilePath,
+  thumbnailPath
+) => {
+  const stagingDir = path.join(getUploadStagingDirectory(), String(videoId));
+  await fs.promises.mkdir(stagingDir, { recursive: true });
+
+  const moveTo = async (filePath, name) => {
+    if (!filePath) return null;
+    const target = getStagedFilePath(videoId, filePath, name);
+    await fs.promises.rename(filePath, target);
+    return target;
+  };
+
+  return {
+    videoFile: await moveTo(videoFilePath, "source"),
+    thumbnail: await moveTo(thumbnailPath, "thumbnail"),
+  };
+};
+
+export const removeStagedUpload = async (videoId) => {
+  await fs.promises.rm(
+    path.join(getUploadStagingDirectory(), String(videoId)),
+    {
+      recursive: true,
+      force: true,
+    }
+  );
+};
+
+/*
+  Turns a staged upload into a playable video: probe, HLS ladder, thumbnails, original file.
+  - Runs inside a job, so it may run again after a failure: staged files are kept until the very end
+    and everything uploaded by a failed attempt is removed again.
+  - A video deleted in the meantime is skipped (or cleaned up, if it disappeared halfway through).
+*/
+export const processUploadedVideo = async (videoId) => {
+  const video = await Video.findById(videoId).select(
+    "+sourceFile +sourceThumbnail"
+  );
+  if (!video) {
+    await removeStagedUpload(videoId);
+    return;
+  }
+
+  await Video.updateOne(
+    { _id: video._id },
+    { $set: { processingStatus: "processing" }, $unset: { processingError: 1 } }
+  );
+
+  let hlsPackage = null;
+  let generatedThumbnails = null;
+  const uploadedFiles = [];
+
+  try {
+    const metadata = await getVideoMetadata(video.sourceFile);
+
+    hlsPackage = await createHlsPackage(video.sourceFile, video._id, metadata);
+
+    if (!video.sourceThumbnail) {
+      generatedThumbnails = await createThumbnailCandidates(
+        video.sourceFile,
+        video._id,
+        metadata.duration
+      );
+    }
+
+    // the staged files stay until processing succeeded, a retry needs them again
+    // random keys, a video's files can't be found from its id (see utils/hls.js)
+    const videoFile = await uploadFile(
+      video.sourceFile,
+      buildStorageKey("videos", video.sourceFile),
+      { keepLocalFile: true }
+    );
+    if (!videoFile) {
+      throw new Error("Storage Error: could not upload the video file");
+    }
+    uploadedFiles.push(videoFile);
+
+    let thumbnail = generatedThumbnails?.thumbnail;
+    if (video.sourceThumbnail) {
+      thumbnail = await uploadFile(
+        video.sourceThumbnail,
+        buildStorageKey(`thumbnails/${video._id}`, video.sourceThumbnail),
+        { keepLocalFile: true }
+      );
+      if (!thumbnail) {
+        throw new Error("Storage Error: could not upload the thumbnail");
+      }
+      uploadedFiles.push(thumbnail);
+    }
+
+    const thumbnailCandidates = generatedThumbnails?.thumbnailCandidates || [];
+
+    const result = await Video.updateOne(
+      { _id: video._id },
+      {
+        $set: {
+          videoFile: videoFile.url,
+          videoFileKey: videoFile.key,
+          thumbnail: thumbnail.url,
+          thumbnailKey: thumbnail.key,
+          thumbnailCandidates: thumbnailCandidates.map(({ url }) => url),
+          thumbnailCandidateKeys: thumbnailCandidates.map(({ key }) => key),
+          hlsPlaylist: hlsPackage.hlsPlaylist,
+          hlsPlaylistKey: hlsPackage.hlsPlaylistKey,
+          renditions: hlsPackage.renditions,
+          duration: metadata.duration,
+          processingStatus: "ready",
+        },
+        $unset: { sourceFile: 1, sourceThumbnail: 1, processingError: 1 },
+      }
+    );
+    if (!result.matchedCount) {
+      throw new Error("Video was deleted while it was processed");
+    }
+  } catch (error) {
+    if (hlsPackage) {
+      await deleteHlsPackage(hlsPackage.hlsPlaylistKey).catch(() => null);
+    }
+    await deleteThumbnailCandidates(
+      generatedThumbnails?.thumbnailCandidates
+    ).catch(() => null);
+    for (const file of uploadedFiles) {
+      await deleteStoredFile(file).catch(() => null);
+    }
+
+    // nothing left to retry for a deleted video
+    if (!(await Video.exists({ _id: video._id }))) {
+      await removeStagedUpload(video._id);
+      return;
+    }
+
+    // back in the queue until the job runs out of attempts (see markVideoProcessingFailed)
+    await Video.updateOne(
+      { _id: video._id },
+      {
+        $set: {
+          processingStatus: "queued",
+          processingError: error?.message || String(error),
+        },
+      }
+    );
+    throw error;
+  }
+
+  await removeStagedUpload(video._id);
+};
+
+// The job gave up: the owner sees why, the staged files are not needed anymore
+export const markVideoProcessingFailed = async (videoId, reason) => {
+  await Video.updateOne(
+    { _id: videoId },
+    { $set: { processingStatus: "failed", processingError: reason } }
+  );
+  await removeStagedUpload(videoId);
+};
@@ -0,0 +1,165 @@
+import { VIDEO_DURATION_BUCKETS } from "../consonants.js";
+import { ApiError } from "./ApiError.js";
+
+const MAX_TAGS = 20;
+
+// fields getAllVideos can sort by, all of them are set on every video so they work as cursor keys
+export const VIDEO_SORT_FIELDS = [
+  "relevance",
+  "createdAt",
+  "views",
+  "duration",
+  "title",
+];
+const SNIPPET_RADIUS = 60;
+
+// Accepts tags as an array or a comma separated string, returns them trimmed, lowercased and without duplicates
+export const parseTags = (input) => {
+  if (input === undefined || input === null) return undefined;
+
+  const tags = (Array.isArray(input) ? input : String(input).split(","))
+    .map((tag) => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+/*
+  Turns the search filters of getAllVideos into a $match object.
+  - `durations`: comma separated bucket names, see VIDEO_DURATION_BUCKETS
+  - `uploadedAfter` / `uploadedBefore`: upload date range
+  - `isPublished`: only used when the caller is allowed to see unpublished videos
+*/
+export const buildVideoFilters = ({
+  durations,
+  uploadedAfter,
+  uploadedBefore,
+  isPublished,
+}) => {
+  const filters = {};
+
+  if (durations) {
+    const buckets = String(durations)
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+    const ranges = buckets.map((name) => {
+      const bucket = VIDEO_DURATION_BUCKETS[name];
+      if (!bucket) {
+        throw new ApiError(
+          400,
+          `Duration must be one of: ${Object.keys(VIDEO_DURATION_BUCKETS).join(", ")}`
+        );
+      }
+      return {
+        duration: {
+          $gte: bucket.min,
+          ...(bucket.max !== null ? { $lt: bucket.max } : {}),
+        },
+      };
+    });
+
+    if (ranges.length) {
+      filters.$or = ranges;
+    }
+  }
+
+  if (uploadedAfter || uploadedBefore) {
+    filters.createdAt = {
+      ...(uploadedAfter
+        ? { $gte: parseDate(uploadedAfter, "uploadedAfter") }
+        : {}),
+      ...(uploadedBefore
+        ? { $lte: parseDate(uploadedBefore, "uploadedBefore") }
+        : {}),
+    };
+  }
+
+  if (isPublished !== undefined) {
+    filters.isPublished = isPublished;
+  }
+
+  return filters;
+};
+
+/*
+  The words of a search query, the way $text sees them:
+  - quoted phrases count as one term, "-word" excludes a word and is not highlighted.
+*/
+export const getSearchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query))) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) {
+      terms.push(term);
+    }
+  }
+  return terms;
+};
+
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/*
+  Cuts the part of `text` around the first match and wraps every match in <mark>.
+  - The text is HTML escaped first, so the snippet is safe to render as HTML.
+  - Matching is by word prefix, so "run" also marks "running" like the stemmed text search finds it.
+  - Returns null when nothing in `text` matches.
+*/
+export const highlightMatches = (text, terms) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(
+    `\\b(?:${terms.map(escapeRegex).join("|")})\\w*`,
+    "gi"
+  );
+  const firstMatch = pattern.exec(text);
+  if (!firstMatch) return null;
+
+  const start = Math.max(0, firstMatch.index - SNIPPET_RADIUS);
+  const end = Math.min(
+    text.length,
+    firstMatch.index + firstMatch[0].length + SNIPPET_RADIUS
+  );
+  const snippet = text.slice(start, end);
+
+  pattern.lastIndex = 0;
+  let highlighted = "";
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(snippet))) {
+    highlighted += escapeHtml(snippet.slice(position, match.index));
+    highlighted += `<mark>${escapeHtml(match[0])}</mark>`;
+    position = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(snippet.slice(position));
+
+  return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+};
+
+// Highlighted snippets of the fields a video matched in, for showing search results
+export const buildSearchHighlights = (video, terms) => ({
+  title: highlightMatches(video.title, terms),
+  description: highlightMatches(video.description, terms),
+  tags: (video.tags || []).filter((tag) => highlightMatches(tag, terms)),
+});
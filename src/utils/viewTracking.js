@@ -0,0 +1,127 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { VideoView } from "../models/videoView.model.js";
+import { WatchProgress } from "../models/watchProgress.model.js";
+
+const getViewSettings = () => ({
+  minWatchSeconds: Number(process.env.VIEW_MIN_WATCH_SECONDS) || 30,
+  dedupWindowHours: Number(process.env.VIEW_DEDUP_WINDOW_HOURS) || 24,
+  watchHistoryLimit: Number(process.env.WATCH_HISTORY_LIMIT) || 200,
+});
+
+// How long someone has to watch before it counts: the minimum, or the whole video if it's shorter
+export const getViewThreshold = (video) =>
+  Math.min(getViewSettings().minWatchSeconds, video.duration || 0);
+
+/*
+  Puts `videoId` at the front of the user's watch history.
+  - An earlier entry of the same video is removed, so every video appears once (most recent first).
+  - The history is capped, the oldest entries fall off the end.
+  - Single pipeline update, so concurrent watches can't lose entries or create duplicates.
+  - The time it was added goes on the user's WatchProgress of the video: the history is paged by it,
+    positions in the array shift with every new entry.
+*/
+export const addToWatchHistory = async (userId, videoId) => {
+  const id = new mongoose.Types.ObjectId(videoId);
+
+  await User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        watchHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                [id],
+                {
+                  $filter: {
+                    input: { $ifNull: ["$watchHistory", []] },
+                    cond: { $ne: ["$$this", id] },
+                  },
+                },
+              ],
+            },
+            getViewSettings().watchHistoryLimit,
+          ],
+        },
+      },
+    },
+  ]);
+
+  await WatchProgress.updateOne(
+    { user: userId, video: id },
+    { $set: { historyAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+/*
+  Counts a view of `video` by `viewerId`, at most once per dedup window.
+  - The VideoView upsert is the lock: only the request that inserts the marker increments `views`,
+    two parallel requests can't both count (the loser hits the unique index).
+  - A marker left over from an expired window (TTL cleanup runs only once a minute) is removed first.
+  - Resolves with true if this watch added a view.
+*/
+const countView = async (video, viewerId) => {
+  const now = new Date();
+  const { dedupWindowHours } = getViewSettings();
+
+  await VideoView.deleteOne({
+    video: video._id,
+    viewer: viewerId,
+    expiresAt: { $lte: now },
+  });
+
+  try {
+    const result = await VideoView.updateOne(
+      { video: video._id, viewer: viewerId },
+      {
+        $setOnInsert: {
+          expiresAt: new Date(
+            now.getTime() + dedupWindowHours * 60 * 60 * 1000
+          ),
+        },
+      },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) return false;
+  } catch (error) {
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+
+  await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+  return true;
+};
+
+/*
+  Called after a progress heartbeat, with the watch time measured from the heartbeats (WatchProgress).
+  - Below the threshold nothing happens.
+  - Past it, the video goes to the front of the viewer's watch history,
+    and a view is counted unless the viewer owns the video or was already counted in this window.
+  - The measured time is used up either way, the next view needs another full threshold of watching.
+*/
+export const recordVideoWatch = async (video, viewerId, watchedSeconds) => {
+  const threshold = getViewThreshold(video);
+
+  if (!(watchedSeconds >= threshold)) {
+    return { counted: false, reason: "below_threshold", threshold };
+  }
+
+  await WatchProgress.updateOne(
+    { user: viewerId, video: video._id },
+    { $set: { watchedSeconds: 0 } }
+  );
+  await addToWatchHistory(viewerId, video._id);
+
+  if (video.owner?.toString() === viewerId.toString()) {
+    return { counted: false, reason: "owner", threshold };
+  }
+
+  const counted = await countView(video, viewerId);
+  return {
+    counted,
+    reason: counted ? "counted" : "already_counted",
+    threshold,
+  };
+};
@@ -0,0 +1,93 @@
+import { WatchProgress } from "../models/watchProgress.model.js";
+
+// Closer than this to the end (in seconds or percent) and the video counts as watched to the end
+const COMPLETION_REMAINING_SECONDS = 10;
+const COMPLETION_PERCENT = 95;
+
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
+/*
+  Stores where `userId` is in `video` (upsert, so the first heartbeat creates the document).
+  - The position is clamped to the video's length.
+  - Near the end the video is marked completed, so it leaves "continue watching".
+  - Adds the time watched since the previous heartbeat to `watchedSeconds`: the time that passed
+    between the two heartbeats, but never more than the position moved forward. A client can't
+    claim more watch time than really passed, and seeking ahead or a paused player adds nothing.
+*/
+export const saveWatchProgress = async (video, userId, position) => {
+  const duration = video.duration || 0;
+  const clampedPosition = Math.min(Math.max(position, 0), duration);
+  const percentWatched = duration
+    ? roundPercent((clampedPosition / duration) * 100)
+    : 0;
+  const completed =
+    percentWatched >= COMPLETION_PERCENT ||
+    duration - clampedPosition <= COMPLETION_REMAINING_SECONDS;
+
+  const now = new Date();
+
+  // a pipeline update, so the previous position and heartbeat time are read in the same write
+  return await WatchProgress.findOneAndUpdate(
+    { user: userId, video: video._id },
+    [
+      {
+        $set: {
+          watchedSeconds: {
+            $add: [
+              { $ifNull: ["$watchedSeconds", 0] },
+              {
+                $max: [
+                  0,
+                  {
+                    $min: [
+                      {
+                        $subtract: [
+                          clampedPosition,
+                          { $ifNull: ["$position", clampedPosition] },
+                        ],
+                      },
+                      {
+                        $divide: [
+                          {
+                            $subtract: [
+                              now,
+                              { $ifNull: ["$lastWatchedAt", now] },
+                            ],
+                          },
+                          1000,
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+          position: clampedPosition,
+          percentWatched,
+          completed,
+          lastWatchedAt: now,
+        },
+      },
+    ],
+    { upsert: true, new: true }
+  );
+};
+
+// What the client needs to resume: finished videos start over, unfinished ones where they stopped
+export const toResumeInfo = (progress) => ({
+  resumeAt: progress && !progress.completed ? progress.position : 0,
+  percentWatched: progress ? progress.percentWatched : 0,
+});
+
+// Resume info of several videos at once, keyed by video id (videos never watched are missing)
+export const getResumeInfoByVideo = async (userId, videoIds) => {
+  const progress = await WatchProgress.find({
+    user: userId,
+    video: { $in: videoIds },
+  }).lean();
+
+  return new Map(
+    progress.map((entry) => [entry.video.toString(), toResumeInfo(entry)])
+  );
+};